@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+// Batch extraction without the server: every PDF in the given folders goes
+// through the same pipeline, cache included, and gets a project .json (which
+// the page can open), a .tex and a .pdf next to the others in --out.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { createProvider } = require('../lib/providers');
+const { OCR_MODES, OCR_MODE, ocrUnavailable } = require('../lib/ocr');
+const { EXTRACT_MODES, LINKED_TYPES } = require('../lib/extract');
+const { extractionSettings, extractDocument } = require('../lib/pipeline');
+const { withIds, buildGraph } = require('../lib/graph');
+const { normalizeSession } = require('../lib/sessions');
+const { emptyUsage, addUsage, costOf } = require('../lib/usage');
+const { buildTex } = require('../lib/tex-export');
+const { version } = require('../package.json');
+
+const FORMATS = ['json', 'tex', 'pdf'];
+const MODEL_ENV = { openai: 'OPENAI_MODEL', local: 'LOCAL_LLM_MODEL' };
+// Progress overwrites its line on a terminal and is left out elsewhere.
+const CLEAR_LINE = process.stderr.isTTY ? '\r\x1b[K' : '';
+
+const USAGE = `Usage: theorem2pdf [options] <folder or PDF>...
+
+Extracts the statements of every PDF and writes <name>.json, .tex and .pdf.
+
+Options:
+  -o, --out <dir>        Output folder (default: theorem2pdf-out)
+  -p, --provider <name>  LLM provider: openai, local or mock (default: LLM_PROVIDER)
+  -m, --model <name>     Model of the openai or local provider
+      --mode <mode>      ${EXTRACT_MODES.join(', ')} (default: EXTRACT_MODE or llm)
+  -f, --format <list>    Comma-separated outputs: ${FORMATS.join(', ')} (default: all)
+      --include <list>   Linked types to extract too: ${LINKED_TYPES.join(', ')}
+      --ocr <mode>       ${OCR_MODES.join(', ')} (default: OCR_MODE or auto)
+      --options <file>   JSON export options, as "options" of /api/v1/render
+  -r, --recursive        Also read PDFs in subfolders
+      --refresh          Ignore cached results
+  -h, --help             Show this help
+  -v, --version          Show the version`;
+
+class UsageError extends Error {}
+
+function list(value) {
+  return String(value || '').toLowerCase().split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function oneOf(value, allowed, what) {
+  if (!allowed.includes(value)) throw new UsageError(`Unknown ${what} "${value}". Use one of: ${allowed.join(', ')}.`);
+  return value;
+}
+
+function readOptions() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o', default: 'theorem2pdf-out' },
+      provider: { type: 'string', short: 'p' },
+      model: { type: 'string', short: 'm' },
+      mode: { type: 'string', default: process.env.EXTRACT_MODE || 'llm' },
+      format: { type: 'string', short: 'f', default: FORMATS.join(',') },
+      include: { type: 'string', default: '' },
+      ocr: { type: 'string', default: OCR_MODE },
+      options: { type: 'string' },
+      recursive: { type: 'boolean', short: 'r', default: false },
+      refresh: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+      version: { type: 'boolean', short: 'v', default: false }
+    }
+  });
+  if (values.help || values.version) return values;
+  if (!positionals.length) throw new UsageError('Name at least one folder or PDF.');
+
+  const formats = list(values.format);
+  for (const f of formats) oneOf(f, FORMATS, 'format');
+  const include = list(values.include);
+  for (const t of include) oneOf(t, LINKED_TYPES, 'linked type');
+  let exportOptions = {};
+  if (values.options) {
+    try {
+      exportOptions = JSON.parse(fs.readFileSync(values.options, 'utf8'));
+    } catch (err) {
+      throw new UsageError(`Could not read export options from ${values.options}: ${err.message}`);
+    }
+  }
+  return {
+    ...values,
+    inputs: positionals,
+    mode: oneOf(String(values.mode).toLowerCase(), EXTRACT_MODES, 'extraction mode'),
+    ocr: oneOf(String(values.ocr).toLowerCase(), OCR_MODES, 'OCR mode'),
+    formats: formats.length ? formats : FORMATS,
+    include: LINKED_TYPES.filter(t => include.includes(t)),
+    exportOptions
+  };
+}
+
+function createCliProvider(name, model) {
+  const key = String(name || process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  if (model && !MODEL_ENV[key]) throw new UsageError(`The ${key} provider has no model to choose.`);
+  try {
+    return createProvider(key, model ? { ...process.env, [MODEL_ENV[key]]: model } : process.env);
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+}
+
+/* ---------- Finding PDFs ---------- */
+
+// `{ file, output }` for every PDF, `output` being its path in the output
+// folder without the extension. Files found in a folder keep their place
+// under it.
+function findPdfs(inputs, recursive) {
+  const found = [];
+  const walk = (dir, base) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory() && recursive) walk(file, base);
+      else if (entry.isFile() && /\.pdf$/i.test(entry.name)) found.push({ file, output: path.relative(base, file).replace(/\.pdf$/i, '') });
+    }
+  };
+  for (const input of inputs) {
+    if (!fs.existsSync(input)) throw new UsageError(`${input} does not exist.`);
+    if (fs.statSync(input).isDirectory()) walk(input, input);
+    else found.push({ file: input, output: path.basename(input).replace(/\.pdf$/i, '') });
+  }
+  return found;
+}
+
+/* ---------- Writing ---------- */
+
+async function writeOutputs(target, { name, items, stats, settings }, { formats, exportOptions }) {
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const withId = withIds(items);
+  const graph = buildGraph(withId);
+  const written = [];
+  if (formats.includes('json')) {
+    const project = normalizeSession({ name, fileName: name, fileHash: stats.fileHash, settings, stats, items: withId });
+    fs.writeFileSync(`${target}.json`, `${JSON.stringify({ ...project, graph }, null, 2)}\n`);
+    written.push('json');
+  }
+  if (formats.includes('tex') && withId.length) {
+    fs.writeFileSync(`${target}.tex`, buildTex(withId, exportOptions));
+    written.push('tex');
+  }
+  if (formats.includes('pdf') && withId.length) {
+    // Loaded on first use: it starts jsdom and MathJax.
+    const { renderPdf } = require('../lib/render');
+    fs.writeFileSync(`${target}.pdf`, await renderPdf(withId, { graph, ...exportOptions }));
+    written.push('pdf');
+  }
+  return written;
+}
+
+// "1744 LLM tokens, $0.0004"; the cost is left out when the model has no price.
+function describeUsage(usage, cost) {
+  return `${usage.totalTokens} LLM tokens${cost === null ? '' : `, $${cost.toFixed(4)}`}`;
+}
+
+/* ---------- Main ---------- */
+
+async function main() {
+  const options = readOptions();
+  if (options.help) return console.log(USAGE);
+  if (options.version) return console.log(version);
+
+  const provider = createCliProvider(options.provider, options.model);
+  if (options.mode !== 'rules' && !provider.isConfigured()) {
+    throw new UsageError(`API key for LLM provider "${provider.name}" not set.`);
+  }
+  const ocrProblem = options.ocr === 'off' ? null : ocrUnavailable();
+  if (ocrProblem) throw new UsageError(`${ocrProblem} (--ocr off runs without OCR.)`);
+  const pdfs = findPdfs(options.inputs, options.recursive);
+  if (!pdfs.length) throw new UsageError('No PDFs found.');
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    console.error('\nStopping; press Ctrl+C again to quit at once.');
+    controller.abort();
+    process.once('SIGINT', () => process.exit(130));
+  });
+
+  const settings = extractionSettings(provider, options.mode, options.include, options.ocr);
+  let failed = 0;
+  let totalItems = 0;
+  const spent = emptyUsage();
+  for (const [i, { file, output }] of pdfs.entries()) {
+    const name = path.basename(file);
+    const prefix = `[${i + 1}/${pdfs.length}] ${path.join(path.dirname(output), name)}`;
+    try {
+      const { items, stats } = await extractDocument({ name, load: () => fs.readFileSync(file) }, options.mode, {
+        provider,
+        include: options.include,
+        ocr: options.ocr,
+        refresh: options.refresh,
+        signal: controller.signal,
+        onChunk: ({ chunk, totalChunks, stage }) => {
+          if (CLEAR_LINE) process.stderr.write(`${CLEAR_LINE}${prefix}: ${stage === 'ocr' ? 'OCR page' : 'chunk'} ${chunk}/${totalChunks}`);
+        }
+      });
+      const written = await writeOutputs(path.join(options.out, output), { name, items, stats, settings }, options);
+      const notes = [
+        stats.cached && 'cached',
+        stats.usage && !stats.cached && describeUsage(stats.usage, stats.usage.cost),
+        stats.failedChunks && stats.failedChunks.length && `${stats.failedChunks.length} chunk(s) failed`
+      ].filter(Boolean);
+      if (stats.usage && !stats.cached) addUsage(spent, stats.usage);
+      console.error(`${CLEAR_LINE}${prefix}: ${items.length} items → ${written.join(', ') || 'nothing'}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+      totalItems += items.length;
+    } catch (err) {
+      if (controller.signal.aborted) break;
+      failed++;
+      console.error(`${CLEAR_LINE}${prefix}: failed: ${err.message}`);
+    }
+  }
+
+  const llmUse = spent.requests ? `, ${describeUsage(spent, costOf(spent, settings.provider, settings.model))}` : '';
+  console.error(`${pdfs.length} PDF(s), ${totalItems} items${llmUse}, ${failed} failed. Output in ${path.resolve(options.out)}`);
+  if (controller.signal.aborted) process.exitCode = 130;
+  else if (failed) process.exitCode = 1;
+}
+
+main().catch(err => {
+  if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || err.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+    console.error(`theorem2pdf: ${err.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  } else {
+    console.error(err);
+    process.exitCode = 1;
+  }
+});
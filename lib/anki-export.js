@@ -0,0 +1,80 @@
+const ANKI_FORMATS = ['tsv', 'csv', 'apkg'];
+const DEFAULT_DECK = 'Theorem2PDF';
+
+function capitalize(word) {
+  return word ? word.charAt(0).toUpperCase() + word.slice(1) : word;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Anki's MathJax only understands \( \) and \[ \], so $ delimiters are
+// rewritten. Fields are HTML, so the text around the math is escaped.
+function toAnkiHtml(content) {
+  const parts = String(content || '').trim()
+    .split(/(\$\$[\s\S]+?\$\$|\\\[[\s\S]+?\\\]|\\\([\s\S]+?\\\)|\$(?:\\\$|[^$])+?\$)/);
+  return parts.map((part, i) => {
+    if (i % 2 === 0) return escapeHtml(part).replace(/\n/g, '<br>');
+    if (part.startsWith('$$')) return `\\[${escapeHtml(part.slice(2, -2))}\\]`;
+    if (part.startsWith('$')) return `\\(${escapeHtml(part.slice(1, -1))}\\)`;
+    return escapeHtml(part);
+  }).join('');
+}
+
+function cardFront(item) {
+  const type = capitalize(String(item.type || '').toLowerCase().trim());
+  const title = String(item.title || '').trim();
+  if (!title) return type || 'Item';
+  return type && !title.toLowerCase().startsWith(type.toLowerCase()) ? `${type}: ${title}` : title;
+}
+
+function toCards(items, { types } = {}) {
+  const wanted = Array.isArray(types) && types.length ? types.map(t => String(t).toLowerCase()) : null;
+  return items
+    .filter(it => !wanted || wanted.includes(String(it.type || '').toLowerCase()))
+    .map(it => ({
+      front: escapeHtml(cardFront(it)),
+      back: toAnkiHtml(it.content),
+      tags: [String(it.type || 'item').toLowerCase().replace(/\s+/g, '_')]
+    }));
+}
+
+// A deck name is one header line: line breaks and other control characters
+// would start new header lines or rows, so they become spaces.
+function cleanDeckName(name) {
+  const clean = String(name == null ? '' : name).replace(/[\u0000-\u001f\u007f-\u009f\u2028\u2029]+/g, ' ').replace(/ +/g, ' ').trim();
+  return clean || DEFAULT_DECK;
+}
+
+function quoteField(value, separator) {
+  const text = String(value);
+  return text.includes(separator) || /["\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Plain-text notes with the header lines Anki's importer reads, so the deck,
+// HTML fields and tag column need no manual setup.
+function buildAnkiText(items, { format = 'tsv', deckName, types } = {}) {
+  const separator = format === 'csv' ? ',' : '\t';
+  const header = [
+    `#separator:${format === 'csv' ? 'comma' : 'tab'}`,
+    '#html:true',
+    `#deck:${cleanDeckName(deckName)}`,
+    '#tags column:3'
+  ];
+  const rows = toCards(items, { types }).map(card =>
+    [card.front, card.back, card.tags.join(' ')].map(f => quoteField(f, separator)).join(separator)
+  );
+  return [...header, ...rows, ''].join('\n');
+}
+
+// anki-apkg-export pulls in sql.js, which takes seconds to load, so it is only
+// required once a package is actually asked for.
+async function buildApkg(items, { deckName, types } = {}) {
+  const AnkiExport = require('anki-apkg-export').default;
+  const apkg = new AnkiExport(cleanDeckName(deckName));
+  for (const card of toCards(items, { types })) apkg.addCard(card.front, card.back, { tags: card.tags });
+  return apkg.save();
+}
+
+module.exports = { ANKI_FORMATS, buildAnkiText, buildApkg };
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '..', 'cache');
+
+function hashBuffer(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Entries are keyed by the PDF's content hash plus every setting that can
+// change the extracted items, so changing any of them misses the cache.
+// Linked types and a non-default OCR mode only join the key when set, which
+// keeps older keys valid.
+function cacheKey(fileHash, settings) {
+  const { provider, model, mode, promptVersion, chunkTokens, overlapTokens, include = [], ocr = 'auto' } = settings;
+  const parts = [fileHash, provider, model, mode, promptVersion, chunkTokens, overlapTokens];
+  if (include.length) parts.push(include);
+  if (ocr !== 'auto') parts.push({ ocr });
+  return hashBuffer(JSON.stringify(parts));
+}
+
+function entryPath(key) {
+  if (!/^[a-f0-9]{64}$/.test(key)) throw new Error('Invalid cache key');
+  return path.join(CACHE_DIR, `${key}.json`);
+}
+
+function getCached(key) {
+  try {
+    return JSON.parse(fs.readFileSync(entryPath(key), 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+function putCached(key, entry) {
+  if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
+  const record = { key, ...entry, createdAt: new Date().toISOString() };
+  fs.writeFileSync(entryPath(key), JSON.stringify(record));
+  return record;
+}
+
+function listCached() {
+  if (!fs.existsSync(CACHE_DIR)) return [];
+  return fs.readdirSync(CACHE_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => getCached(f.slice(0, -5)))
+    .filter(Boolean)
+    .map(({ key, fileName, fileHash, settings, items, createdAt }) => ({
+      key, fileName, fileHash, settings, totalItems: (items || []).length, createdAt
+    }))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// Removes one entry, or all of them when `key` is omitted. Returns the count.
+function clearCached(key) {
+  if (key) {
+    const file = entryPath(key);
+    if (!fs.existsSync(file)) return 0;
+    fs.unlinkSync(file);
+    return 1;
+  }
+  if (!fs.existsSync(CACHE_DIR)) return 0;
+  const files = fs.readdirSync(CACHE_DIR).filter(f => f.endsWith('.json'));
+  files.forEach(f => fs.unlinkSync(path.join(CACHE_DIR, f)));
+  return files.length;
+}
+
+module.exports = { hashBuffer, cacheKey, getCached, putCached, listCached, clearCached };
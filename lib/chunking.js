@@ -0,0 +1,139 @@
+const { HEAD_RE } = require('./rules');
+const { numberOr } = require('./config');
+
+const CHUNK_TOKENS = numberOr(process.env.CHUNK_TOKENS, 3750);
+const CHUNK_OVERLAP_TOKENS = numberOr(process.env.CHUNK_OVERLAP_TOKENS, 300);
+
+// Rough count that holds for English prose and LaTeX alike; good enough to
+// keep a chunk inside the model's context.
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function chunkText(text, chunkSize) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += chunkSize) chunks.push(text.substring(i, i + chunkSize));
+  return chunks;
+}
+
+function makeBlock(page, lines, head) {
+  const text = lines.join('\n');
+  return { page, text, head, tokens: estimateTokens(text) + 1 };
+}
+
+// Cuts an oversized block between lines into pieces of at most `budget`;
+// only a single line longer than that is cut mid-line.
+function splitOversized(block, budget) {
+  const pieces = [];
+  let lines = [];
+  let tokens = 0;
+  const flush = () => {
+    if (lines.length) pieces.push(makeBlock(block.page, lines, block.head && !pieces.length));
+    lines = [];
+    tokens = 0;
+  };
+
+  for (const line of block.text.split('\n')) {
+    const t = estimateTokens(line) + 1;
+    if (t > budget) {
+      flush();
+      for (const part of chunkText(line, budget * 4)) pieces.push(makeBlock(block.page, [part], block.head && !pieces.length));
+      continue;
+    }
+    if (tokens + t > budget) flush();
+    lines.push(line);
+    tokens += t;
+  }
+  flush();
+  return pieces;
+}
+
+// Splits every page into blocks that end at a blank line or right before a
+// theorem/definition head. Chunks are only ever cut between blocks. A block
+// over `budget` is split into `pieceTokens` pieces so the overlap between
+// the chunks it ends up in can still be repeated.
+function splitBlocks(pages, budget, pieceTokens) {
+  const blocks = [];
+  for (const p of pages) {
+    let lines = [];
+    const flush = () => {
+      if (lines.some(l => l.trim())) {
+        const block = makeBlock(p.page, lines, HEAD_RE.test(lines[0].trim()));
+        blocks.push(...(block.tokens > budget ? splitOversized(block, pieceTokens) : [block]));
+      }
+      lines = [];
+    };
+
+    for (const line of String(p.text || '').split('\n')) {
+      if (!line.trim()) {
+        lines.push(line);
+        flush();
+        continue;
+      }
+      if (HEAD_RE.test(line.trim())) flush();
+      lines.push(line);
+    }
+    flush();
+  }
+  return blocks;
+}
+
+function renderChunk(blocks) {
+  let text = '';
+  let page = null;
+  for (const b of blocks) {
+    if (b.page !== page) {
+      text += `[[Page ${b.page}]]\n`;
+      page = b.page;
+    }
+    text += `${b.text}\n`;
+  }
+  return { text, pageRange: [blocks[0].page, blocks[blocks.length - 1].page] };
+}
+
+// Packs blocks into chunks of at most `maxTokens`, marking each page boundary
+// so the model can tell where a statement starts. A chunk preferably ends
+// right before a head; when it has to end elsewhere, the next chunk repeats
+// up to `overlapTokens` of its tail so a statement cut there is seen whole.
+function chunkPages(pages, { maxTokens = CHUNK_TOKENS, overlapTokens = CHUNK_OVERLAP_TOKENS } = {}) {
+  const blocks = splitBlocks(pages, maxTokens, overlapTokens > 0 ? Math.min(overlapTokens, maxTokens) : maxTokens);
+  const chunks = [];
+  let start = 0;
+
+  while (start < blocks.length) {
+    let end = start;
+    let tokens = 0;
+    while (end < blocks.length && (end === start || tokens + blocks[end].tokens <= maxTokens)) {
+      tokens += blocks[end].tokens;
+      end++;
+    }
+
+    if (end < blocks.length && !blocks[end].head) {
+      let before = tokens;
+      for (let k = end - 1; k > start; k--) {
+        before -= blocks[k].tokens;
+        if (before < maxTokens / 2) break;
+        if (blocks[k].head) {
+          end = k;
+          break;
+        }
+      }
+    }
+
+    chunks.push(renderChunk(blocks.slice(start, end)));
+    if (end >= blocks.length) break;
+
+    let next = end;
+    if (!blocks[end].head) {
+      let overlap = 0;
+      while (next - 1 > start && overlap + blocks[next - 1].tokens <= overlapTokens) {
+        next--;
+        overlap += blocks[next].tokens;
+      }
+    }
+    start = next;
+  }
+  return chunks;
+}
+
+module.exports = { CHUNK_TOKENS, CHUNK_OVERLAP_TOKENS, estimateTokens, chunkPages };
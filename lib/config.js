@@ -0,0 +1,17 @@
+// Reading settings from the environment.
+
+// `value` as a number, or `fallback` when it is unset, empty or not a number.
+// Unlike `Number(value) || fallback` it keeps 0, which several settings use
+// to mean "no limit".
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(n) ? n : fallback;
+}
+
+// As numberOr, for settings that mean nothing at 0 or below.
+function positiveOr(value, fallback) {
+  const n = numberOr(value, fallback);
+  return n > 0 ? n : fallback;
+}
+
+module.exports = { numberOr, positiveOr };
@@ -0,0 +1,495 @@
+const { extractByRules } = require('./rules');
+const { assignPages } = require('./pdf-text');
+const { CHUNK_TOKENS, CHUNK_OVERLAP_TOKENS, estimateTokens, chunkPages } = require('./chunking');
+const { emptyUsage, addUsage, sumUsage } = require('./usage');
+const { numberOr } = require('./config');
+
+const EXTRACT_MODES = ['llm', 'rules', 'hybrid'];
+// Optional content that is attached to the statement it belongs to, as
+// `children` of that statement, instead of standing on its own.
+const LINKED_TYPES = ['proof', 'example', 'remark', 'claim', 'notation', 'exercise'];
+const STATEMENT_TYPES = ['definition', 'theorem', 'lemma', 'proposition', 'corollary', 'axiom'];
+// How many times a reply that breaks the format is sent back to be fixed;
+// 0 never sends one back.
+const LLM_FIX_ATTEMPTS = numberOr(process.env.LLM_FIX_ATTEMPTS, 2);
+
+function isLinkedType(type) {
+  return LINKED_TYPES.includes(String(type || '').toLowerCase().trim());
+}
+
+// Bump whenever a prompt or the way replies are read changes, so cached
+// results from the old one are not reused.
+const PROMPT_VERSION = 2;
+
+function normalizeNumberedTitle(title = '', fallbackType = '') {
+  const raw = String(title || '').toLowerCase().trim()
+    .replace(/\s+/g, ' ')
+    .replace(/[·–—-]/g, '-') 
+    .replace(/\s*[\.:;,-]+\s*$/,''); 
+
+  const norm = raw
+    .replace(/^prop\.\s+/i, 'proposition ')
+    .replace(/^cor\.\s+/i, 'corollary ');
+
+  const re = /^(definition|theorem|lemma|proposition|corollary|axiom|prop\.?|cor\.?)\s+(\d+(?:\.\d+)*)/i;
+  const m = norm.match(re);
+  if (m) {
+    const head = m[1].replace(/^prop\.?$/i, 'proposition').replace(/^cor\.?$/i, 'corollary').toLowerCase();
+    return `${head} ${m[2]}`;
+  }
+
+  const m2 = norm.match(/\b(\d+(?:\.\d+)*)\b/);
+  if (m2 && fallbackType) {
+    return `${String(fallbackType).toLowerCase().trim()} ${m2[1]}`;
+  }
+  return norm || (fallbackType ? String(fallbackType).toLowerCase().trim() : '');
+}
+
+// What makes two items one statement. A numbered title names one; items
+// without a number are only the same when they say the same thing on the same
+// page, so two untitled theorems, or two proofs without a statement, stay two.
+function statementKey(it) {
+  const title = normalizeNumberedTitle(it.title, it.type);
+  if (isNumbered(it)) return title;
+  return `${title}\n${it.page == null ? '' : it.page}\n${collapseSpaces(it.content).toLowerCase()}`;
+}
+
+function isNumbered(it) {
+  return /\d/.test(normalizeNumberedTitle(it.title, it.type));
+}
+
+// Numbers restart in every document, so "Definition 3.1" is only a
+// duplicate of another "Definition 3.1" from the same source.
+function dedupeKey(it) {
+  return `${it.source || ''}\n${statementKey(it)}`;
+}
+
+function dedupeByNumberedTitle(items, { collapseSources = false } = {}) {
+  const best = new Map();
+  for (const it of items) {
+    const key = dedupeKey(it);
+    const existing = best.get(key);
+    if (!existing) {
+      best.set(key, it);
+    } else {
+      const currLen = (it.content || '').length;
+      const prevLen = (existing.content || '').length;
+      if (currLen > prevLen) best.set(key, it);
+    }
+  }
+  const deduped = Array.from(best.values());
+  return collapseSources ? collapseAcrossSources(deduped) : deduped;
+}
+
+// Drops items that repeat an earlier document's statement word for word under
+// the same number. The kept item lists the other sources in `alsoIn`.
+function collapseAcrossSources(items) {
+  const first = new Map();
+  const out = [];
+  for (const it of items) {
+    const key = `${normalizeNumberedTitle(it.title, it.type)}\n${collapseSpaces(it.content).toLowerCase()}`;
+    const kept = first.get(key);
+    if (kept === undefined) {
+      first.set(key, out.length);
+      out.push(it);
+    } else if (it.source && it.source !== out[kept].source) {
+      const alsoIn = out[kept].alsoIn || [];
+      if (!alsoIn.includes(it.source)) out[kept] = { ...out[kept], alsoIn: alsoIn.concat(it.source) };
+    }
+  }
+  return out;
+}
+
+function collapseSpaces(text) {
+  return String(text || '').split('\n').map(l => l.replace(/[ \t]+/g, ' ').trim()).filter(Boolean).join('\n');
+}
+
+// Two copies of one statement seen by overlapping chunks: one may hold the
+// other, or each may hold one end of it. Either way the result is the whole
+// statement; only unrelated texts fall back to keeping the longer one.
+function mergeStatements(a, b) {
+  const x = collapseSpaces(a.content);
+  const y = collapseSpaces(b.content);
+  return joinOverlapping(a, b) || (y.length > x.length ? b : a);
+}
+
+// The containment and overlap cases of mergeStatements; null when the two
+// texts are unrelated.
+function joinOverlapping(a, b) {
+  const x = collapseSpaces(a.content);
+  const y = collapseSpaces(b.content);
+  const pages = [a.page, b.page].filter(p => p != null);
+  const page = pages.length ? Math.min(...pages) : null;
+
+  if (x.includes(y)) return { ...a, page };
+  if (y.includes(x)) return { ...b, page };
+  for (let k = Math.min(x.length, y.length) - 1; k >= 20; k--) {
+    if (x.endsWith(y.slice(0, k))) return { ...a, content: x + y.slice(k), page };
+    if (y.endsWith(x.slice(0, k))) return { ...b, content: y + x.slice(k), page };
+  }
+  return null;
+}
+
+function mergeByNumberedTitle(items) {
+  const merged = new Map();
+  for (const it of items) {
+    const key = statementKey(it);
+    const same = merged.has(key) ? key : overlappingKey(merged, it);
+    merged.set(same || key, same ? mergeStatements(merged.get(same), it) : it);
+  }
+  return Array.from(merged.values());
+}
+
+// An unnumbered statement cut off at the end of one chunk and read whole, or
+// from its middle, in the next has a different text in each. The copy it
+// joins with under the same heading, on its page or the one before or after
+// (a cut-off half may start a page later), is the same statement.
+function overlappingKey(merged, it) {
+  if (isNumbered(it)) return null;
+  const title = normalizeNumberedTitle(it.title, it.type);
+  for (const [key, other] of merged) {
+    if (isNumbered(other) || normalizeNumberedTitle(other.title, other.type) !== title) continue;
+    if (other.page != null && it.page != null && Math.abs(other.page - it.page) > 1) continue;
+    if (joinOverlapping(other, it)) return key;
+  }
+  return null;
+}
+
+// The combined statement that took in `st`: the one with its key, else for
+// an unnumbered statement the one holding its text.
+function combinedWith(combined, st) {
+  const key = statementKey(st);
+  const text = collapseSpaces(st.content);
+  return combined.find(c => statementKey(c) === key) ||
+    (isNumbered(st) ? null : combined.find(c => !isNumbered(c) && c.type === st.type && collapseSpaces(c.content).includes(text)));
+}
+
+// The statement a `parent` field names: by number, or by a title without one
+// ("Theorem (Lagrange)") when only one statement has it.
+function namedStatement(combined, named) {
+  const found = combined.filter(c => normalizeNumberedTitle(c.title, c.type) === named);
+  return found.length === 1 ? found[0] : null;
+}
+
+// Takes a document-ordered list of statements and linked items, combines the
+// statements (merge or dedupe) and hangs each linked item under its parent:
+// the statement named in its `parent` field, else the closest statement
+// before it. Linked items without a statement stay at the top level.
+function linkChildren(items, combine = mergeByNumberedTitle) {
+  const statements = [];
+  const linked = [];
+  let last = null;
+  for (const it of items) {
+    if (isLinkedType(it.type)) {
+      const { parent, ...child } = it;
+      const named = parent ? normalizeNumberedTitle(parent) : null;
+      linked.push({ child: { ...child, type: child.type.toLowerCase().trim() }, named, last });
+    } else {
+      statements.push(it);
+      last = it;
+    }
+  }
+
+  const combined = combine(statements);
+  if (!linked.length) return combined;
+
+  const withChildren = combined.map(st => ({ ...st, children: [] }));
+  const orphans = [];
+  for (const { child, named, last: before } of linked) {
+    const target = (named && namedStatement(withChildren, named)) || (before && combinedWith(withChildren, before));
+    addChild(target ? target.children : orphans, child);
+  }
+  return withChildren
+    .map(st => (st.children.length ? st : (({ children, ...rest }) => rest)(st)))
+    .concat(orphans);
+}
+
+// Overlapping chunks can report a proof twice or in two halves; those are
+// joined, anything else under the same title is a separate item.
+function addChild(list, child) {
+  for (let i = 0; i < list.length; i++) {
+    const same = list[i].type === child.type &&
+      normalizeNumberedTitle(list[i].title, list[i].type) === normalizeNumberedTitle(child.title, child.type);
+    const joined = same && joinOverlapping(list[i], child);
+    if (joined) {
+      list[i] = joined;
+      return;
+    }
+  }
+  list.push(child);
+}
+
+/* ---------- Replies ---------- */
+
+// Parses a reply that should be `{ "items": [...] }` (a bare array is fine
+// too). Returns the items that pass `check`, which gives an error message or
+// null, and one error per item that does not.
+function parseItemsReply(reply, check) {
+  let parsed;
+  try {
+    parsed = JSON.parse(reply || '');
+  } catch (err) {
+    return { items: [], errors: [`The reply is not valid JSON (${err.message}).`], malformed: true };
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.items;
+  if (!Array.isArray(list)) return { items: [], errors: ['The reply has no "items" array.'], malformed: true };
+
+  const items = [];
+  const errors = [];
+  list.forEach((it, i) => {
+    const error = it && typeof it === 'object' && !Array.isArray(it) ? check(it) : 'is not an object';
+    if (error) errors.push(`Item ${i + 1}: ${error}.`);
+    else items.push(it);
+  });
+  return { items, errors, malformed: false };
+}
+
+// The schema of an extracted item: a known type, non-empty content, a whole
+// page number, and strings where strings go.
+function itemError(it, types) {
+  const type = String(it.type || '').toLowerCase().trim();
+  if (!types.includes(type)) return `"type" must be one of ${types.join(', ')}`;
+  if (typeof it.content !== 'string' || !it.content.trim()) return '"content" must be a non-empty string';
+  if (it.title != null && typeof it.title !== 'string') return '"title" must be a string';
+  if (!Number.isInteger(it.page) || it.page < 1) return '"page" must be a whole number from a [[Page N]] marker';
+  if (it.parent != null && typeof it.parent !== 'string') return '"parent" must be a string or null';
+  return null;
+}
+
+// Sends `messages` and parses the reply; a reply that breaks the format goes
+// back to the model with the errors, up to LLM_FIX_ATTEMPTS times. Returns the
+// first clean reply, else the one with the most valid items and its errors.
+// What every request used is added to `usage`, even when one fails.
+async function completeItems(llm, messages, check, { signal, usage = emptyUsage() } = {}) {
+  let best = null;
+  let history = messages;
+  const onUsage = u => addUsage(usage, u);
+  for (let attempt = 0; attempt <= LLM_FIX_ATTEMPTS; attempt++) {
+    const reply = await llm.complete(history, { signal, onUsage });
+    const result = parseItemsReply(reply, check);
+    if (!result.errors.length) return result;
+    if (!best || result.items.length > best.items.length) best = result;
+    history = history.concat(
+      { role: 'assistant', content: String(reply || '') },
+      { role: 'user', content: `That reply does not match the format:\n${result.errors.slice(0, 20).join('\n')}\nSend the whole JSON again with these fixed.` }
+    );
+  }
+  return best;
+}
+
+// `{ chunk, pageRange, status, errors, usage }`: "ok", "partial" when some
+// items were rejected, "failed" when the request failed or no reply was usable.
+function chunkRecord(chunk, pageRange, result, error, usage = emptyUsage()) {
+  if (error) return { chunk, pageRange, status: 'failed', errors: [error.message || String(error)], items: [], usage };
+  const status = !result.errors.length ? 'ok' : result.malformed ? 'failed' : 'partial';
+  return { chunk, pageRange, status, errors: result.errors, items: result.items, usage };
+}
+
+// Without linked types this is the statements-only rule the prompt always had,
+// so results cached before linked content existed stay valid.
+function linkedRule(include) {
+  if (!include.length) return '- No proofs/examples, only the statements.';
+  const kinds = include.length > 1 ? `${include.slice(0, -1).join(', ')} and ${include[include.length - 1]}` : include[0];
+  return `- Also extract every ${kinds}, with that word as its "type" and its heading (e.g. "Proof", "Example 2.4") as "title".
+- Give each of those a "parent": the exact title of the statement it belongs to, or null.`;
+}
+
+function extractionPrompt(text, chunk, totalChunks, include) {
+  return `You are an expert at extracting mathematical content from academic notes.
+
+Extract ALL unique Definitions, Theorems, Lemmas, Propositions, Corollaries, and Axioms.
+
+RULES:
+- Preserve LaTeX EXACTLY (backslashes, $, $$, \\begin{env} ... \\end{env}, etc.).
+- Keep the author’s numbering and titles exactly.
+- Do NOT add, remove, or rewrite any math.
+${linkedRule(include)}
+- Page boundaries are marked [[Page N]]; "page" is the N of the page where the statement starts.
+- Return JSON with an "items" array of objects: {type,title,content,page${include.length ? ',parent' : ''}}.
+
+Text (chunk ${chunk}/${totalChunks}):
+"""${text}"""`;
+}
+
+function chunkMessages(text, chunk, totalChunks, include) {
+  return [
+    { role: 'system', content: 'Extract unique math statements and preserve LaTeX exactly.' },
+    { role: 'user', content: extractionPrompt(text, chunk, totalChunks, include) }
+  ];
+}
+
+// Runs the LLM over the document's chunks, or only the chunk numbers in
+// `only`, and returns one chunkRecord per chunk run with its raw items. A
+// chunk that fails is recorded and the rest carry on.
+async function extractChunks(pages, llm, { include = [], only = null, onChunk, signal } = {}) {
+  const chunks = chunkPages(pages, { maxTokens: CHUNK_TOKENS, overlapTokens: CHUNK_OVERLAP_TOKENS });
+  const types = STATEMENT_TYPES.concat(include);
+  const check = it => itemError(it, types);
+  const records = [];
+
+  for (let i = 0; i < chunks.length; i++) {
+    if (only && !only.includes(i + 1)) continue;
+    signal?.throwIfAborted();
+    const pageRange = chunks[i].pageRange;
+    const usage = emptyUsage();
+    let record;
+    try {
+      const result = await completeItems(llm, chunkMessages(chunks[i].text, i + 1, chunks.length, include), check, { signal, usage });
+      record = chunkRecord(i + 1, pageRange, result, null, usage);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.error(`Chunk ${i + 1}/${chunks.length} failed:`, err.message);
+      record = chunkRecord(i + 1, pageRange, null, err, usage);
+    }
+    record.items = record.items.map(it => ({ ...it, type: it.type.toLowerCase().trim(), pageRange }));
+    records.push(record);
+    // Linked items only arrive with the final result, under their statement.
+    const statements = record.items.filter(it => !isLinkedType(it.type));
+    if (onChunk) onChunk({ chunk: i + 1, totalChunks: chunks.length, items: assignPages(statements, pages) });
+  }
+  return records;
+}
+
+// The items of chunk records in chunk order, merged and linked.
+function combineChunks(records, pages) {
+  const all = records.slice().sort((a, b) => a.chunk - b.chunk).flatMap(r => r.items || []);
+  return linkChildren(assignPages(all, pages));
+}
+
+async function extractMathContent(pages, llm, { include = [], onChunk, signal } = {}) {
+  const chunks = await extractChunks(pages, llm, { include, onChunk, signal });
+  return { items: combineChunks(chunks, pages), chunks };
+}
+
+/* ---------- Hybrid: rules find candidates, the LLM only repairs the math ---------- */
+
+const CLEANUP_BATCH_SIZE = 20;
+
+// `batch` is `[{ index, content }]`.
+function cleanupMessages(batch) {
+  const prompt = `The statements below were extracted from a PDF's text layer, so their math may be mangled
+(lost $ delimiters, flattened sub/superscripts, symbols spelled out or dropped).
+
+RULES:
+- Restore the math as LaTeX with $...$ / $$...$$ delimiters.
+- Do NOT add, remove, or reword anything else.
+- Return JSON with an "items" array of objects: {index,content}.
+
+Statements:
+"""${JSON.stringify(batch)}"""`;
+  return [
+    { role: 'system', content: 'Repair LaTeX in math statements without changing their meaning.' },
+    { role: 'user', content: prompt }
+  ];
+}
+
+// A failed batch keeps the text as the rules found it.
+async function cleanupMath(items, llm, { batchSize = CLEANUP_BATCH_SIZE, onChunk, signal } = {}) {
+  const out = items.map(it => ({ ...it }));
+  const totalChunks = Math.ceil(out.length / batchSize);
+  const chunks = [];
+
+  for (let start = 0; start < out.length; start += batchSize) {
+    signal?.throwIfAborted();
+    const batch = out.slice(start, start + batchSize)
+      .map((it, j) => ({ index: start + j, content: it.content }));
+    const chunk = start / batchSize + 1;
+    const pages = batch.map(b => out[b.index].page).filter(p => p != null);
+    const pageRange = pages.length ? [Math.min(...pages), Math.max(...pages)] : null;
+
+    const check = fixed => {
+      const idx = fixed.index;
+      if (!Number.isInteger(idx) || idx < start || idx >= start + batch.length) return `"index" must be one of the given indexes`;
+      if (typeof fixed.content !== 'string' || !fixed.content.trim()) return '"content" must be a non-empty string';
+      return null;
+    };
+    const usage = emptyUsage();
+    let record;
+    try {
+      const result = await completeItems(llm, cleanupMessages(batch), check, { signal, usage });
+      record = chunkRecord(chunk, pageRange, result, null, usage);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.error(`Cleanup batch ${chunk}/${totalChunks} failed:`, err.message);
+      record = chunkRecord(chunk, pageRange, null, err, usage);
+    }
+
+    for (const fixed of record.items) out[fixed.index].content = fixed.content.trim();
+    chunks.push({ ...record, items: [] });
+    if (onChunk) onChunk({ chunk, totalChunks, items: out.slice(start, start + batchSize) });
+  }
+  return { items: out, chunks };
+}
+
+function ruleCandidates(doc, include) {
+  const found = assignPages(extractByRules(doc.text, { include }), doc.pages);
+  return include.length ? found : dedupeByNumberedTitle(found);
+}
+
+// `include` lists the LINKED_TYPES to extract as well; they come back as
+// `children` of their statement. Returns `{ items, chunks }`, with a
+// chunkRecord per LLM request (none for rules).
+async function extractItems(doc, { mode = 'llm', llm, include = [], onChunk, signal } = {}) {
+  if (!EXTRACT_MODES.includes(mode)) {
+    throw new Error(`Unknown extraction mode "${mode}". Use one of: ${EXTRACT_MODES.join(', ')}.`);
+  }
+  if (mode === 'llm') return extractMathContent(doc.pages, llm, { include, onChunk, signal });
+
+  const candidates = ruleCandidates(doc, include);
+  if (mode === 'rules' || !candidates.length) {
+    const items = linkChildren(candidates, dedupeByNumberedTitle);
+    if (onChunk) onChunk({ chunk: 1, totalChunks: 1, items });
+    return { items, chunks: [] };
+  }
+  const onStatements = onChunk && (update => onChunk({ ...update, items: update.items.filter(it => !isLinkedType(it.type)) }));
+  const { items, chunks } = await cleanupMath(candidates, llm, { onChunk: onStatements, signal });
+  return { items: linkChildren(items, dedupeByNumberedTitle), chunks };
+}
+
+/* ---------- Estimates ---------- */
+
+// Replies hold the statements but not the prose between them: about half a
+// chunk's text in typical notes, most of it when proofs are asked for too.
+function replyShare(include) {
+  return include.length ? 0.8 : 0.5;
+}
+
+// The usage extractItems is expected to have, from the text alone and
+// without fix-up requests: one usage object with `estimated` set.
+function estimateUsage(doc, { mode = 'llm', include = [] } = {}) {
+  const requests = [];
+  const sent = messages => messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+  if (mode === 'llm') {
+    const chunks = chunkPages(doc.pages, { maxTokens: CHUNK_TOKENS, overlapTokens: CHUNK_OVERLAP_TOKENS });
+    chunks.forEach((chunk, i) => requests.push({
+      promptTokens: sent(chunkMessages(chunk.text, i + 1, chunks.length, include)),
+      completionTokens: Math.ceil(estimateTokens(chunk.text) * replyShare(include))
+    }));
+  } else if (mode === 'hybrid') {
+    const candidates = ruleCandidates(doc, include);
+    for (let start = 0; start < candidates.length; start += CLEANUP_BATCH_SIZE) {
+      const batch = candidates.slice(start, start + CLEANUP_BATCH_SIZE).map((it, j) => ({ index: start + j, content: it.content }));
+      requests.push({ promptTokens: sent(cleanupMessages(batch)), completionTokens: estimateTokens(JSON.stringify({ items: batch })) });
+    }
+  }
+  return { ...sumUsage(requests), estimated: true };
+}
+
+module.exports = {
+  EXTRACT_MODES,
+  LINKED_TYPES,
+  PROMPT_VERSION,
+  LLM_FIX_ATTEMPTS,
+  CHUNK_TOKENS,
+  CHUNK_OVERLAP_TOKENS,
+  normalizeNumberedTitle,
+  dedupeByNumberedTitle,
+  mergeByNumberedTitle,
+  linkChildren,
+  extractChunks,
+  combineChunks,
+  extractMathContent,
+  cleanupMath,
+  extractItems,
+  estimateUsage
+};
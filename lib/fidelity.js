@@ -0,0 +1,210 @@
+// Checks that extracted statements are in the PDF. The prompt forbids adding
+// or rewriting math, but nothing makes the model comply; a paraphrased or
+// invented theorem would end up on the study sheet. Each item's content is
+// aligned to the document text, letter by letter after both sides are
+// normalised, and gets `fidelity: { score, low, page, start, end, source }`.
+
+const { numberOr } = require('./config');
+
+// Items scoring below this are flagged; 0 flags none.
+const FIDELITY_MIN_SCORE = numberOr(process.env.FIDELITY_MIN_SCORE, 0.8);
+// Longest stretch of source text returned for a low-scoring item.
+const MAX_SOURCE_CHARS = 4000;
+
+// Macros whose glyph the text layer keeps as a letter.
+const MACRO_LETTERS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  ell: 'ℓ'
+};
+const TOKEN_RE = /\\(?:begin|end|label|ref|eqref|cite)\s*\{[^{}]*\}|\\([a-zA-Z]+)|[\s\S]/gu;
+const LETTER_RE = /[\p{L}\p{N}]/u;
+
+// The letters and digits of `text`, lower-cased, with LaTeX markup dropped,
+// and for each the offset in `text` it came from. Spacing, punctuation and
+// math symbols differ too much between LaTeX and a PDF text layer to count.
+function normalize(text) {
+  let chars = '';
+  const offsets = [];
+  for (const m of String(text || '').matchAll(TOKEN_RE)) {
+    const ch = m[1] !== undefined ? MACRO_LETTERS[m[1]] : /^\\./.test(m[0]) ? null : m[0];
+    if (!ch || !LETTER_RE.test(ch)) continue;
+    chars += ch.toLowerCase();
+    offsets.push(m.index);
+  }
+  return { chars, offsets };
+}
+
+/* ---------- Alignment ---------- */
+
+// Where the item most likely starts in the source: short runs of the item
+// are looked up and vote for an offset. Null when none is found.
+function anchor(item, source) {
+  const size = Math.min(12, item.length);
+  const votes = new Map();
+  const step = Math.max(size, Math.floor(item.length / 16));
+  for (let i = 0; i + size <= item.length; i += step) {
+    const probe = item.slice(i, i + size);
+    let hits = 0;
+    for (let at = source.indexOf(probe); at !== -1 && hits < 20; at = source.indexOf(probe, at + 1), hits++) {
+      const bucket = Math.round((at - i) / 32);
+      votes.set(bucket, (votes.get(bucket) || 0) + 1);
+    }
+  }
+  let best = null;
+  for (const [bucket, count] of votes) {
+    const around = count + (votes.get(bucket - 1) || 0) + (votes.get(bucket + 1) || 0);
+    if (!best || around > best.around) best = { bucket, around };
+  }
+  return best && best.bucket * 32;
+}
+
+// Edit distance between `item` and its best matching stretch of `window`,
+// with that stretch's bounds. The item must be matched whole; the window
+// may start and end anywhere.
+function alignInWindow(item, window) {
+  const n = item.length;
+  const m = window.length;
+  let prev = new Int32Array(m + 1);
+  let cur = new Int32Array(m + 1);
+  let prevStart = Int32Array.from({ length: m + 1 }, (_, j) => j);
+  let curStart = new Int32Array(m + 1);
+  for (let i = 1; i <= n; i++) {
+    cur[0] = i;
+    curStart[0] = 0;
+    for (let j = 1; j <= m; j++) {
+      const diag = prev[j - 1] + (item[i - 1] === window[j - 1] ? 0 : 1);
+      const up = prev[j] + 1;
+      const left = cur[j - 1] + 1;
+      if (diag <= up && diag <= left) {
+        cur[j] = diag;
+        curStart[j] = prevStart[j - 1];
+      } else if (up <= left) {
+        cur[j] = up;
+        curStart[j] = prevStart[j];
+      } else {
+        cur[j] = left;
+        curStart[j] = curStart[j - 1];
+      }
+    }
+    [prev, cur] = [cur, prev];
+    [prevStart, curStart] = [curStart, prevStart];
+  }
+  let end = 0;
+  for (let j = 1; j <= m; j++) if (prev[j] < prev[end]) end = j;
+  return { distance: prev[end], start: prevStart[end], end };
+}
+
+/* ---------- Checking ---------- */
+
+function pageAt(pageStarts, offset) {
+  let page = null;
+  for (const s of pageStarts) {
+    if (s.offset > offset) break;
+    page = s.page;
+  }
+  return page;
+}
+
+// The document text the items are checked against, as parsePdf joins it.
+function buildSource(pages) {
+  let text = '';
+  const pageStarts = [];
+  for (const p of pages) {
+    if (text) text += '\n\n';
+    pageStarts.push({ page: p.page, offset: text.length });
+    text += p.text || '';
+  }
+  return { text, pageStarts, normalized: normalize(text) };
+}
+
+// Index in the normalised source of the first letter at or after `offset`.
+function normalizedIndex(offsets, offset) {
+  let lo = 0;
+  let hi = offsets.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (offsets[mid] < offset) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// The stretch of the normalised source to align the item in: around where
+// its own text is found, else after its heading ("Theorem 2.3"), else its
+// page. A paraphrase is then still compared with the statement it replaced.
+function searchWindow(item, content, source) {
+  const { chars, offsets } = source.normalized;
+  const slack = Math.max(64, Math.round(content.length * 0.3));
+  const at = anchor(content, chars);
+  if (at !== null) return [Math.max(0, at - slack), at + content.length + slack];
+
+  const head = normalize(item.title).chars;
+  const headAt = head.length >= 4 ? chars.indexOf(head) : -1;
+  if (headAt !== -1) return [headAt + head.length, headAt + head.length + content.length + slack];
+
+  const page = source.pageStarts.findIndex(p => p.page === item.page);
+  if (page === -1) return null;
+  const next = source.pageStarts[page + 1];
+  return [
+    normalizedIndex(offsets, source.pageStarts[page].offset),
+    next ? normalizedIndex(offsets, next.offset) : chars.length
+  ];
+}
+
+// Only flagged items carry their source text, for the page to show the
+// difference. Whole lines read better there than the aligned letters.
+function sourceLines(text, start, end) {
+  const from = text.lastIndexOf('\n', start - 1) + 1;
+  const lineEnd = text.indexOf('\n', Math.max(end - 1, start));
+  const to = lineEnd === -1 ? text.length : lineEnd;
+  return text.slice(from, Math.min(to, from + MAX_SOURCE_CHARS));
+}
+
+function fidelityOf(item, source) {
+  const content = normalize(item.content).chars;
+  if (!content.length) return null;
+  const { chars, offsets } = source.normalized;
+  // Most items are verbatim and need no alignment.
+  const exact = chars.indexOf(content);
+  if (exact !== -1) {
+    const start = offsets[exact];
+    return { score: 1, low: false, page: pageAt(source.pageStarts, start), start, end: offsets[exact + content.length - 1] + 1, source: null };
+  }
+  const bounds = searchWindow(item, content, source);
+  const window = bounds ? chars.slice(bounds[0], Math.min(chars.length, bounds[1])) : '';
+  if (!window.length) return { score: 0, low: true, page: null, start: null, end: null, source: null };
+
+  const from = bounds[0];
+  const { distance, start, end } = alignInWindow(content, window);
+  const score = Math.max(0, Math.round((1 - distance / content.length) * 100) / 100);
+  const low = score < FIDELITY_MIN_SCORE;
+  const startOffset = offsets[from + Math.min(start, window.length - 1)];
+  const endOffset = end > start ? offsets[from + end - 1] + 1 : startOffset;
+  return {
+    score,
+    low,
+    page: pageAt(source.pageStarts, startOffset),
+    start: startOffset,
+    end: endOffset,
+    source: low ? sourceLines(source.text, startOffset, endOffset) : null
+  };
+}
+
+// Scores every item and linked child against the pages' text. `start` and
+// `end` are offsets into the pages' text joined by blank lines.
+function checkFidelity(items, pages) {
+  const source = buildSource(pages);
+  const check = list => (list || []).map(item => {
+    const { fidelity: _old, ...rest } = item;
+    const fidelity = fidelityOf(item, source);
+    const checked = fidelity ? { ...rest, fidelity } : rest;
+    if (Array.isArray(item.children)) checked.children = check(item.children);
+    return checked;
+  });
+  return check(items);
+}
+
+module.exports = { FIDELITY_MIN_SCORE, normalize, anchor, alignInWindow, checkFidelity };
@@ -0,0 +1,144 @@
+// Dependencies between extracted items: explicit references such as "by
+// Lemma 4.1", and terms a definition introduces that later statements use.
+// The graph is `{ nodes, edges }` over item ids, each edge pointing from the
+// item that uses to the item it uses.
+
+const { normalizeNumberedTitle } = require('./extract');
+
+const REF_RE = /\b(definitions?|theorems?|lemmas?|propositions?|corollar(?:y|ies)|axioms?|props?\.|cors?\.)\s+(\d+(?:\.\d+)*(?:(?:\s*,\s*|\s+and\s+|\s*&\s*)\d+(?:\.\d+)*)*)/gi;
+const REF_HEADS = [
+  ['definition', /^definitions?$/],
+  ['theorem', /^theorems?$/],
+  ['lemma', /^lemmas?$/],
+  ['proposition', /^(propositions?|props?\.)$/],
+  ['corollary', /^(corollar(y|ies)|cors?\.)$/],
+  ['axiom', /^axioms?$/]
+];
+const MATH_RE = /\$\$[\s\S]*?\$\$|\\\[[\s\S]*?\\\]|\\begin\{([a-zA-Z]+\*?)\}[\s\S]*?\\end\{\1\}|\$(?:\\\$|[^$])*?\$|\\\([\s\S]*?\\\)/g;
+// "Definition 2.3 (Group)", "\emph{normal subgroup}", "is called a coset".
+const TERM_RES = [
+  /\\(?:emph|textbf|textit)\{([^{}]+)\}/g,
+  /\*\*([^*]+)\*\*/g,
+  /\bis (?:called|said to be|known as) (?:an? |the )?([a-zA-Z][a-zA-Z -]*?)(?=\s+(?:if|when|of|on|for|with|and)\b|[.,;:$(]|$)/g
+];
+
+function itemText(item) {
+  return [item.title, item.content, ...(item.children || []).map(c => c.content)].filter(Boolean).join('\n');
+}
+
+// Gives every item an `id`, keeping the ones it already has.
+function withIds(items) {
+  const taken = new Set(items.map(it => it.id).filter(Boolean));
+  let next = 1;
+  return items.map(it => {
+    if (it.id) return it;
+    while (taken.has(`item-${next}`)) next++;
+    taken.add(`item-${next}`);
+    return { id: `item-${next}`, ...it };
+  });
+}
+
+/* ---------- References ---------- */
+
+// Every "Lemma 4.1" in `text`, as the key normalizeNumberedTitle gives the
+// item it names, with the words as written for the label.
+function findReferences(text) {
+  const refs = [];
+  for (const m of String(text || '').matchAll(REF_RE)) {
+    const word = m[1].toLowerCase();
+    const [head] = REF_HEADS.find(([, re]) => re.test(word)) || [];
+    if (!head) continue;
+    for (const number of m[2].split(/\s*,\s*|\s+and\s+|\s*&\s*/)) {
+      refs.push({ key: `${head} ${number}`, label: `${head.charAt(0).toUpperCase()}${head.slice(1)} ${number}` });
+    }
+  }
+  return refs;
+}
+
+// Numbers restart in every document, so a reference resolves in its own
+// source first and elsewhere only when the number names one item.
+function resolve(byKey, key, source) {
+  const matches = byKey.get(key) || [];
+  const own = matches.filter(it => (it.source || '') === (source || ''));
+  if (own.length) return own[0];
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/* ---------- Defined terms ---------- */
+
+function cleanTerm(term) {
+  const t = String(term || '').toLowerCase().replace(/\s+/g, ' ').replace(/^(an?|the) /, '').trim();
+  return /^[a-z][a-z -]{1,38}[a-z]$/.test(t) ? t : null;
+}
+
+function definedTerms(item) {
+  if (String(item.type || '').toLowerCase() !== 'definition') return [];
+  const terms = new Set();
+  const named = String(item.title || '').match(/\(([^)]+)\)/);
+  if (named) for (const part of named[1].split(/\s*(?:,|;|\band\b)\s*/)) terms.add(cleanTerm(part));
+  const text = String(item.content || '');
+  for (const re of TERM_RES) for (const m of text.matchAll(re)) terms.add(cleanTerm(m[1]));
+  terms.delete(null);
+  return [...terms];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/* ---------- Graph ---------- */
+
+// Builds the graph for items that have ids (see withIds). Children's text
+// counts for their statement: a proof that cites Lemma 4.1 makes its theorem
+// use the lemma.
+function buildGraph(items) {
+  const byKey = new Map();
+  for (const it of items) {
+    const key = normalizeNumberedTitle(it.title, it.type);
+    if (!key) continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(it);
+  }
+
+  const edges = new Map();
+  const addEdge = (from, to, kind, label) => {
+    const id = `${from.id}\n${to.id}`;
+    const existing = edges.get(id);
+    if (from === to || (existing && (existing.kind === 'reference' || kind === 'term'))) return;
+    edges.set(id, { from: from.id, to: to.id, kind, label });
+  };
+
+  const terms = [];
+  for (const it of items) {
+    const text = itemText(it);
+    for (const ref of findReferences(text)) {
+      const target = resolve(byKey, ref.key, it.source);
+      if (target) addEdge(it, target, 'reference', ref.label);
+    }
+
+    // Terms count in statements after their definition, outside math.
+    const prose = text.replace(MATH_RE, ' ').toLowerCase();
+    for (const { term, re, definition } of terms) {
+      if (re.test(prose)) addEdge(it, definition, 'term', term);
+    }
+    for (const term of definedTerms(it)) {
+      terms.push({ term, re: new RegExp(`\\b${escapeRegExp(term)}(?:s|es)?\\b`), definition: it });
+    }
+  }
+
+  return {
+    nodes: items.map(it => {
+      const defined = definedTerms(it);
+      return {
+        id: it.id,
+        type: it.type || null,
+        title: it.title || '',
+        ...(it.source ? { source: it.source } : {}),
+        ...(defined.length ? { terms: defined } : {})
+      };
+    }),
+    edges: [...edges.values()]
+  };
+}
+
+module.exports = { withIds, findReferences, definedTerms, buildGraph };
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { positiveOr } = require('./config');
+
+// Finished jobs are held in memory this long; it cannot be 0, which would
+// drop a job before its client reads the result.
+const JOB_TTL_MS = positiveOr(process.env.JOB_TTL_MS, 60 * 60 * 1000);
+const FINISHED = ['done', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+function summarize(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    fileName: job.fileName,
+    progress: job.progress,
+    items: job.items,
+    stats: job.stats,
+    graph: job.graph,
+    error: job.error,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+function finish(job, status, fields = {}) {
+  Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+  job.events.emit('update', { event: status, data: summarize(job) });
+  job.events.removeAllListeners();
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+// Starts `run(ctx)` in the background and returns the job right away.
+// `run` reports progress through `ctx.progress({ chunk, totalChunks, items })`,
+// optionally with position fields such as `file` and `totalFiles`, and should
+// stop when `ctx.signal` is aborted. Its resolved value must be `{ items, stats }`,
+// optionally with a dependency `graph`.
+function createJob({ fileName }, run) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    fileName,
+    progress: { chunk: 0, totalChunks: null },
+    items: [],
+    stats: null,
+    graph: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    controller: new AbortController(),
+    events: new EventEmitter()
+  };
+  jobs.set(job.id, job);
+
+  const ctx = {
+    signal: job.controller.signal,
+    progress({ chunk, totalChunks, items = [], ...position }) {
+      job.progress = { chunk, totalChunks, ...position };
+      job.items = job.items.concat(items);
+      job.events.emit('update', {
+        event: 'progress',
+        data: { chunk, totalChunks, ...position, itemsSoFar: job.items.length, items }
+      });
+    }
+  };
+
+  Promise.resolve()
+    .then(() => run(ctx))
+    .then(({ items, stats, graph = null }) => finish(job, 'done', { items, stats, graph }))
+    .catch(err => {
+      if (job.controller.signal.aborted) return finish(job, 'cancelled');
+      console.error(err);
+      finish(job, 'failed', { error: err.message });
+    });
+
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function cancelJob(job) {
+  if (FINISHED.includes(job.status)) return false;
+  job.controller.abort();
+  return true;
+}
+
+function isFinished(job) {
+  return FINISHED.includes(job.status);
+}
+
+module.exports = { JOB_TTL_MS, createJob, getJob, cancelJob, isFinished, summarize };
@@ -0,0 +1,334 @@
+// Checks the LaTeX of extracted items before it is rendered. The page runs
+// MathJax with noerrors and noundefined, so a dropped `$` or a mangled
+// \begin{align} would otherwise show up as red source text in the results and
+// the PDF. Common breakage is repaired; math that still does not parse is
+// reported on the item as `latex.errors` for the editor to highlight.
+
+let parser = null;
+const knownMacros = new Map();
+
+// A MathJax document that only parses: TeX input with every package except
+// the ones that hide errors, and no output.
+function getParser() {
+  if (parser) return parser;
+  const { TeX } = require('mathjax-full/js/input/tex.js');
+  const { HTMLDocument } = require('mathjax-full/js/handlers/html/HTMLDocument.js');
+  const { liteAdaptor } = require('mathjax-full/js/adaptors/liteAdaptor.js');
+  const { AllPackages } = require('mathjax-full/js/input/tex/AllPackages.js');
+  const { STATE } = require('mathjax-full/js/core/MathItem.js');
+
+  const tex = new TeX({
+    packages: AllPackages.filter(p => !['bussproofs', 'noerrors', 'noundefined'].includes(p)),
+    formatError: (_jax, err) => { throw err; }
+  });
+  const doc = new HTMLDocument('', liteAdaptor(), { InputJax: tex });
+  parser = { doc, end: STATE.COMPILED };
+  return parser;
+}
+
+// Returns MathJax's error message for `tex`, or null when it parses.
+function parseError(tex, display) {
+  const { doc, end } = getParser();
+  try {
+    doc.convert(tex, { display, end });
+    return null;
+  } catch (err) {
+    return err.message || String(err);
+  }
+}
+
+function isKnownMacro(name) {
+  if (!knownMacros.has(name)) {
+    const error = parseError(`\\${name}`, false);
+    knownMacros.set(name, !error || !/^Undefined control sequence/.test(error));
+  }
+  return knownMacros.get(name);
+}
+
+/* ---------- Splitting ---------- */
+
+const PARAGRAPH_RE = /\n[ \t]*\n/g;
+
+function paragraphEnd(text, from) {
+  PARAGRAPH_RE.lastIndex = from;
+  const m = PARAGRAPH_RE.exec(text);
+  let end = m ? m.index : text.length;
+  while (end > from && /\s/.test(text[end - 1])) end--;
+  return end;
+}
+
+function isEscaped(text, i) {
+  let slashes = 0;
+  while (i - slashes - 1 >= 0 && text[i - slashes - 1] === '\\') slashes++;
+  return slashes % 2 === 1;
+}
+
+// Index of the first unescaped `close` at or after `from`, stopping at `limit`.
+function findClose(text, close, from, limit) {
+  for (let i = text.indexOf(close, from); i !== -1 && i + close.length <= limit; i = text.indexOf(close, i + 1)) {
+    if (isEscaped(text, i)) continue;
+    if (close === '$' && text[i + 1] === '$') {
+      i++;
+      continue;
+    }
+    return i;
+  }
+  return -1;
+}
+
+// End of the environment opened at `from`, counting nested \begin/\end of any
+// name, or -1 when it never closes.
+function findEnvironmentEnd(text, from) {
+  const re = /\\(begin|end)\s*\{[^{}]*\}/g;
+  re.lastIndex = from;
+  let depth = 0;
+  for (let m = re.exec(text); m; m = re.exec(text)) {
+    depth += m[1] === 'begin' ? 1 : -1;
+    if (depth === 0) return m.index + m[0].length;
+  }
+  return -1;
+}
+
+// Where an unclosed formula most likely ends: before the first two words in a
+// row at brace depth 0, else at the end of the paragraph.
+function proseStart(body) {
+  for (const m of body.matchAll(/\s+[a-zA-Z]{2,}[\s,.;:]+[a-zA-Z]{2,}\b/g)) {
+    let depth = 0;
+    for (const ch of body.slice(0, m.index).replace(/\\./g, '')) {
+      if (ch === '{') depth++;
+      if (ch === '}') depth--;
+    }
+    if (depth <= 0) return m.index;
+  }
+  return body.length;
+}
+
+// Splits text into plain runs and math, the way MathJax finds it on the page:
+// `$...$`, `\(...\)`, `$$...$$`, `\[...\]` and bare \begin{...}\end{...}.
+// Math that never closes gets `close: null` and ends where proseStart says.
+function splitMath(text) {
+  const parts = [];
+  let plain = '';
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i, i + 7);
+    let open = null;
+    if (rest.startsWith('\\$')) {
+      plain += '\\$';
+      i += 2;
+      continue;
+    }
+    if (rest.startsWith('$$')) open = ['$$', '$$', true];
+    else if (rest.startsWith('$')) open = ['$', '$', false];
+    else if (rest.startsWith('\\(') && !isEscaped(text, i)) open = ['\\(', '\\)', false];
+    else if (rest.startsWith('\\[') && !isEscaped(text, i)) open = ['\\[', '\\]', true];
+    else if (rest.startsWith('\\begin') && !isEscaped(text, i)) {
+      if (plain) parts.push({ text: plain });
+      plain = '';
+      const end = findEnvironmentEnd(text, i);
+      const stop = end === -1 ? text.length : end;
+      parts.push({ open: '', body: text.slice(i, stop), close: '', display: true });
+      i = stop;
+      continue;
+    }
+    if (!open) {
+      plain += text[i++];
+      continue;
+    }
+
+    if (plain) parts.push({ text: plain });
+    plain = '';
+    const [start, close, display] = open;
+    const from = i + start.length;
+    const limit = paragraphEnd(text, from);
+    const at = findClose(text, close, from, limit);
+    if (at === -1) {
+      const stop = from + proseStart(text.slice(from, limit));
+      parts.push({ open: start, body: text.slice(from, stop), close: null, display, expected: close });
+      i = stop;
+    } else {
+      parts.push({ open: start, body: text.slice(from, at), close, display });
+      i = at + close.length;
+    }
+  }
+  if (plain) parts.push({ text: plain });
+  return parts;
+}
+
+/* ---------- Repairs ---------- */
+
+// In math, `\\alpha` is a JSON escape gone wrong far more often than a line
+// break followed by the word "alpha". Inside environments `\\` breaks rows,
+// so those are left alone, as is text outside math.
+function fixDoubledBackslashes(body, repairs) {
+  let out = '';
+  let last = 0;
+  for (let i = nextBegin(body, 0); i !== -1; i = nextBegin(body, last)) {
+    const end = findEnvironmentEnd(body, i);
+    out += undouble(body.slice(last, i), repairs);
+    last = end === -1 ? body.length : end;
+    out += body.slice(i, last);
+  }
+  return out + undouble(body.slice(last), repairs);
+}
+
+function nextBegin(body, from) {
+  const i = body.slice(from).search(/\\begin\s*\{/);
+  return i === -1 ? -1 : from + i;
+}
+
+function undouble(text, repairs) {
+  return text.replace(/(?<!\\)\\\\([a-zA-Z]{2,})/g, (all, name) => {
+    if (name === 'begin' || name === 'end' || !isKnownMacro(name)) return all;
+    repairs.push(`Replaced \\\\${name} with \\${name}`);
+    return `\\${name}`;
+  });
+}
+
+function envStem(name) {
+  return name.replace(/\*$/, '').replace(/(ed|at)$/, '');
+}
+
+// Closes environments left open, renames an \end{} that misspells the one
+// it closes (align/aligned, gather*/gather) and drops \end{}s with no \begin{}.
+function balanceEnvironments(body, repairs) {
+  const stack = [];
+  let out = '';
+  let last = 0;
+  for (const m of body.matchAll(/\\(begin|end)\s*\{([^{}]*)\}/g)) {
+    const [tag, kind, name] = m;
+    let replacement = tag;
+    if (kind === 'begin') {
+      stack.push(name);
+    } else if (stack[stack.length - 1] === name) {
+      stack.pop();
+    } else if (stack.includes(name)) {
+      replacement = '';
+      while (stack[stack.length - 1] !== name) {
+        const open = stack.pop();
+        replacement += `\\end{${open}}`;
+        repairs.push(`Closed \\begin{${open}}`);
+      }
+      stack.pop();
+      replacement += tag;
+    } else if (stack.length && envStem(stack[stack.length - 1]) === envStem(name)) {
+      const open = stack.pop();
+      replacement = `\\end{${open}}`;
+      repairs.push(`Changed \\end{${name}} to \\end{${open}}`);
+    } else {
+      replacement = '';
+      repairs.push(`Removed \\end{${name}} without a \\begin{${name}}`);
+    }
+    out += body.slice(last, m.index) + replacement;
+    last = m.index + tag.length;
+  }
+  out += body.slice(last);
+  while (stack.length) {
+    const open = stack.pop();
+    out += `\\end{${open}}`;
+    repairs.push(`Closed \\begin{${open}}`);
+  }
+  return out;
+}
+
+function balanceBraces(body, repairs) {
+  let depth = 0;
+  let out = '';
+  let dropped = 0;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '\\') {
+      out += body.slice(i, i + 2);
+      i++;
+      continue;
+    }
+    if (ch === '{') depth++;
+    if (ch === '}') {
+      if (depth === 0) {
+        dropped++;
+        continue;
+      }
+      depth--;
+    }
+    out += ch;
+  }
+  if (dropped) repairs.push(`Removed ${dropped} unmatched }`);
+  if (depth) repairs.push(`Closed ${depth} unmatched {`);
+  return out + '}'.repeat(depth);
+}
+
+// Math with \text{} and the like, and macro names, blanked out.
+function bareMath(body) {
+  return body
+    .replace(/\\(?:text\w*|mathrm|operatorname|mbox|label|tag)\s*\{[^{}]*\}/g, ' ')
+    .replace(/\\[a-zA-Z]+/g, ' ');
+}
+
+// Words outside \text{} mean the math swallowed a sentence, usually because
+// a `$` went missing and the delimiters paired up wrong.
+function looksLikeProse(body) {
+  return /\b[a-zA-Z]{3,}[\s,.;:]+[a-zA-Z]{3,}\b/.test(bareMath(body));
+}
+
+// Whether an unclosed formula can be closed where proseStart put the end:
+// only when it then parses and holds no word ("be" in "$x \in G be a group")
+// where the sentence could have started instead.
+function closesCleanly(body, display) {
+  return !/\b[a-zA-Z]{2,}\b/.test(bareMath(body)) && !parseError(body, display);
+}
+
+/* ---------- Checking ---------- */
+
+// Checks one piece of text. With `repair`, returns the repaired text and a
+// line per repair; `errors` lists the math that still fails as
+// `{ message, tex }`.
+function checkLatex(input, { repair = true } = {}) {
+  const repairs = [];
+  const errors = [];
+  const text = String(input || '');
+
+  const parts = splitMath(text).map(part => {
+    if (part.text !== undefined) return part.text;
+    let { body, close } = part;
+    const partRepairs = [];
+    if (repair) {
+      if (part.open) body = fixDoubledBackslashes(body, partRepairs);
+      body = balanceBraces(balanceEnvironments(body, partRepairs), partRepairs);
+    }
+    // Where a formula without its closing delimiter ends is a guess, so it
+    // is only closed when the guess is safe; otherwise it is left as it was.
+    if (close === null) {
+      if (!repair || !closesCleanly(body, part.display)) {
+        errors.push({ message: `Missing closing ${part.expected}`, tex: `${part.open}${part.body}`.slice(0, 200) });
+        return `${part.open}${part.body}`;
+      }
+      close = part.expected;
+      partRepairs.unshift(`Added the missing closing ${close}`);
+    }
+    repairs.push(...partRepairs);
+
+    const tex = `${part.open}${body}${close}`;
+    const message = parseError(body, part.display);
+    if (message) errors.push({ message, tex: tex.slice(0, 200) });
+    else if (looksLikeProse(body)) errors.push({ message: 'Text inside math; a $ may be missing', tex: tex.slice(0, 200) });
+    return tex;
+  });
+  return { text: parts.join(''), repairs, errors };
+}
+
+// Checks the content of every item and its linked children. Items that needed
+// repairs or still fail get `latex: { repairs, errors }`.
+function checkItems(items, { repair = true } = {}) {
+  return (items || []).map(item => {
+    const { latex, ...rest } = item;
+    const result = checkLatex(item.content, { repair });
+    const checked = { ...rest, content: result.text };
+    if (result.repairs.length || result.errors.length) {
+      checked.latex = { repairs: result.repairs, errors: result.errors };
+    }
+    if (Array.isArray(item.children)) checked.children = checkItems(item.children, { repair });
+    return checked;
+  });
+}
+
+module.exports = { splitMath, fixDoubledBackslashes, balanceEnvironments, balanceBraces, checkLatex, checkItems };
@@ -0,0 +1,147 @@
+// Per-client limits for a server several people share: how often the
+// expensive routes may be called, and how much LLM use a client may spend.
+// Clients are told apart by IP address (see TRUST_PROXY). Counts are kept in
+// memory and start over when the server restarts.
+
+const { estimateTokens } = require('./chunking');
+const { costOf } = require('./usage');
+const { numberOr } = require('./config');
+
+const RATE_LIMIT_MAX = numberOr(process.env.RATE_LIMIT_MAX, 30);
+const RATE_LIMIT_WINDOW_MS = numberOr(process.env.RATE_LIMIT_WINDOW_MS, 15 * 60 * 1000);
+// USD per client and window, priced as in lib/usage.js; 0 turns the quota off.
+const LLM_COST_QUOTA = numberOr(process.env.LLM_COST_QUOTA, 0);
+const LLM_QUOTA_WINDOW_MS = numberOr(process.env.LLM_QUOTA_WINDOW_MS, 24 * 60 * 60 * 1000);
+
+class QuotaError extends Error {
+  constructor(message, retryAfterMs) {
+    super(message);
+    this.name = 'QuotaError';
+    this.status = 429;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/* ---------- Windows ---------- */
+
+// Counts per key that start over `windowMs` after the key's first count.
+function createWindows(windowMs) {
+  const windows = new Map();
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+  }, Math.min(windowMs, 60 * 60 * 1000)).unref();
+
+  const get = key => {
+    const w = windows.get(key);
+    if (w && w.resetAt > Date.now()) return w;
+    const fresh = { count: 0, resetAt: Date.now() + windowMs };
+    windows.set(key, fresh);
+    return fresh;
+  };
+  return { get };
+}
+
+function retryAfterSeconds(resetAt) {
+  return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+function usd(amount) {
+  return `$${amount < 0.01 ? amount.toFixed(4) : amount.toFixed(2)}`;
+}
+
+/* ---------- Request rate ---------- */
+
+// Middleware allowing each client `max` requests per `windowMs`; 0 allows any
+// number. Answers 429 with Retry-After beyond that.
+function rateLimit({ max = RATE_LIMIT_MAX, windowMs = RATE_LIMIT_WINDOW_MS } = {}) {
+  if (!max) return (_req, _res, next) => next();
+  const windows = createWindows(windowMs);
+  return (req, res, next) => {
+    const w = windows.get(req.ip);
+    w.count++;
+    res.set({ 'RateLimit-Limit': String(max), 'RateLimit-Remaining': String(Math.max(0, max - w.count)) });
+    if (w.count <= max) return next();
+    res.set('Retry-After', String(retryAfterSeconds(w.resetAt)));
+    return res.status(429).json({ error: `Too many requests; try again in ${retryAfterSeconds(w.resetAt)} s.` });
+  };
+}
+
+/* ---------- LLM spending quota ---------- */
+
+// What `usage` costs with `provider`'s model. A model without a price cannot
+// be metered, so it is an error rather than free.
+function priceOf(provider, usage) {
+  const cost = costOf(usage, provider.name, provider.model);
+  if (cost === null) throw new Error(`The LLM quota needs a price for ${provider.name} (${provider.model}); add one to LLM_PRICES.`);
+  return cost;
+}
+
+// USD spent on LLM requests per client, up to `limit` per `windowMs`; a limit
+// of 0 never runs out. Requests are charged the cost of the tokens the
+// provider reports they used, or of estimateTokens' count when it reports
+// nothing, so an expensive model uses the quota up sooner.
+function createQuota({ limit = LLM_COST_QUOTA, windowMs = LLM_QUOTA_WINDOW_MS } = {}) {
+  const windows = createWindows(windowMs);
+
+  const status = key => {
+    if (!limit) return { limit: null, used: 0, remaining: null, resetAt: null, currency: 'USD' };
+    const w = windows.get(key);
+    return { limit, used: w.count, remaining: Math.max(0, limit - w.count), resetAt: new Date(w.resetAt).toISOString(), currency: 'USD' };
+  };
+
+  // Throws when `key` has less left than `usage` of `provider` would cost.
+  const check = (key, usage, provider, what = 'This request') => {
+    if (!limit) return;
+    const cost = priceOf(provider, usage);
+    const w = windows.get(key);
+    if (w.count + cost <= limit) return;
+    const left = Math.max(0, limit - w.count);
+    throw new QuotaError(
+      `${what} would cost about ${usd(cost)} and ${usd(left)} of the ${usd(limit)} allowed is left; the quota resets in ${retryAfterSeconds(w.resetAt)} s.`,
+      w.resetAt - Date.now()
+    );
+  };
+
+  const charge = (key, cost) => {
+    if (limit) {
+      const w = windows.get(key);
+      w.count = Math.round((w.count + cost) * 1e6) / 1e6;
+    }
+  };
+
+  // `provider` with every request charged to `key` and refused once the
+  // quota is used up.
+  const meter = (provider, key) => {
+    if (!limit) return provider;
+    return {
+      ...provider,
+      async complete(messages, { onUsage, ...options } = {}) {
+        const sent = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+        check(key, { promptTokens: sent, completionTokens: 0 }, provider, 'The next LLM request');
+        let used = null;
+        const reply = await provider.complete(messages, {
+          ...options,
+          onUsage: usage => {
+            used = usage;
+            if (onUsage) onUsage(usage);
+          }
+        });
+        charge(key, priceOf(provider, used || { promptTokens: sent, completionTokens: estimateTokens(reply) }));
+        return reply;
+      }
+    };
+  };
+
+  return { status, check, charge, meter };
+}
+
+module.exports = {
+  RATE_LIMIT_MAX,
+  RATE_LIMIT_WINDOW_MS,
+  LLM_COST_QUOTA,
+  LLM_QUOTA_WINDOW_MS,
+  QuotaError,
+  rateLimit,
+  createQuota
+};
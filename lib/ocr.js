@@ -0,0 +1,254 @@
+// OCR for pages whose text layer is missing or unreadable: scanned lecture
+// notes and photographed handwritten pages. Pages are rendered with pdf.js and
+// read with Tesseract. When MATH_OCR_COMMAND names a local math-OCR model, its
+// LaTeX output replaces Tesseract's text for the page; Tesseract still gives
+// the confidence.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { numberOr, positiveOr } = require('./config');
+
+const OCR_MODES = ['auto', 'off', 'force'];
+const OCR_MODE = readOcrMode(process.env.OCR_MODE);
+const OCR_LANG = process.env.OCR_LANG || 'eng';
+// Directory or URL holding `<lang>.traineddata.gz`. By default the English
+// data installed with @tesseract.js-data/eng, so nothing is downloaded.
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || bundledLangPath();
+const OCR_CACHE_DIR = process.env.OCR_CACHE_DIR || path.join(__dirname, '..', 'cache', 'tesseract');
+const OCR_SCALE = positiveOr(process.env.OCR_SCALE, 3);
+// 0 flags no page.
+const OCR_MIN_CONFIDENCE = numberOr(process.env.OCR_MIN_CONFIDENCE, 60);
+const MATH_OCR_COMMAND = process.env.MATH_OCR_COMMAND || '';
+// 0 lets the command take as long as it needs.
+const MATH_OCR_TIMEOUT_MS = numberOr(process.env.MATH_OCR_TIMEOUT_MS, 120000);
+
+function bundledLangPath() {
+  try {
+    return path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+  } catch {
+    return null;
+  }
+}
+
+// OCR_MODE is the default of every request, which the server would refuse
+// if it were mistyped, so an unknown value falls back to "auto".
+function readOcrMode(value) {
+  if (!value) return 'auto';
+  const mode = value.toLowerCase().trim();
+  if (OCR_MODES.includes(mode)) return mode;
+  console.warn(`OCR_MODE "${value}" is not one of ${OCR_MODES.join(', ')}; using "auto".`);
+  return 'auto';
+}
+
+function nearlyEmpty(text) {
+  return String(text || '').replace(/\s+/g, '').length < 20;
+}
+
+// Scanned pages have no text layer; broken font encodings leave one made of
+// replacement and private-use characters. Either way the page may need to be
+// read again; ocrDocument only reads a page without text if it shows an image.
+function needsOcr(text) {
+  if (nearlyEmpty(text)) return true;
+  const chars = String(text).replace(/\s+/g, '');
+  const garbage = (chars.match(/[\uFFFD\uE000-\uF8FF\u0000-\u001F]/g) || []).length;
+  const letters = (chars.match(/\p{L}/gu) || []).length;
+  return garbage / chars.length > 0.3 || letters / chars.length < 0.3;
+}
+
+/* ---------- Rendering ---------- */
+
+async function openDocument(data) {
+  const canvasLib = require('@napi-rs/canvas');
+  const { createCanvas } = canvasLib;
+  // pdf.js looks for these when it loads and would otherwise go looking for
+  // the `canvas` package.
+  for (const name of ['DOMMatrix', 'Path2D', 'ImageData']) {
+    if (!global[name]) global[name] = canvasLib[name];
+  }
+  const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  const canvasFactory = {
+    create(width, height) {
+      const canvas = createCanvas(width, height);
+      return { canvas, context: canvas.getContext('2d') };
+    },
+    reset(target, width, height) {
+      target.canvas.width = width;
+      target.canvas.height = height;
+    },
+    destroy(target) {
+      target.canvas.width = 0;
+      target.canvas.height = 0;
+    }
+  };
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(data),
+    canvasFactory,
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+  return { doc, canvasFactory };
+}
+
+async function renderPage({ doc, canvasFactory }, pageNumber) {
+  const page = await doc.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: OCR_SCALE });
+  const target = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  target.context.fillStyle = '#ffffff';
+  target.context.fillRect(0, 0, target.canvas.width, target.canvas.height);
+  await page.render({ canvasContext: target.context, viewport, canvasFactory }).promise;
+  const png = target.canvas.toBuffer('image/png');
+  canvasFactory.destroy(target);
+  page.cleanup();
+  return png;
+}
+
+// Whether the page paints an image, as every scan does.
+async function showsImage(doc, pageNumber) {
+  const { OPS } = require('pdfjs-dist/legacy/build/pdf.js');
+  const imageOps = new Set([
+    OPS.paintImageXObject, OPS.paintImageXObjectRepeat, OPS.paintInlineImageXObject, OPS.paintInlineImageXObjectGroup,
+    OPS.paintImageMaskXObject, OPS.paintImageMaskXObjectRepeat, OPS.paintImageMaskXObjectGroup
+  ]);
+  const page = await doc.getPage(pageNumber);
+  const { fnArray } = await page.getOperatorList();
+  page.cleanup();
+  return fnArray.some(fn => imageOps.has(fn));
+}
+
+/* ---------- Page selection ---------- */
+
+// Pages that may need OCR, judged by their text alone.
+function candidatePages(parsed, mode) {
+  if (mode === 'off') return [];
+  return parsed.pages.filter(p => mode === 'force' || needsOcr(p.text)).map(p => p.page);
+}
+
+// The candidates worth reading: all of them when forced, otherwise garbled
+// text layers and pages with next to no text that show an image. Blank and
+// title pages give Tesseract nothing to read.
+async function selectPages({ doc }, parsed, mode) {
+  const candidates = candidatePages(parsed, mode);
+  if (mode === 'force') return candidates;
+  const targets = [];
+  for (const pageNumber of candidates) {
+    const { text } = parsed.pages.find(p => p.page === pageNumber);
+    if (!nearlyEmpty(text) || await showsImage(doc, pageNumber)) targets.push(pageNumber);
+  }
+  return targets;
+}
+
+// The pages ocrDocument would read, for estimates.
+async function ocrTargets(data, parsed, mode = OCR_MODE) {
+  if (!candidatePages(parsed, mode).length) return [];
+  const rendered = await openDocument(data);
+  try {
+    return await selectPages(rendered, parsed, mode);
+  } finally {
+    await rendered.doc.destroy();
+  }
+}
+
+/* ---------- Recognition ---------- */
+
+// Why Tesseract cannot run here, or null when it can: every OCR_LANG needs
+// its data in OCR_CACHE_DIR or OCR_LANG_PATH. A URL is taken on trust.
+function ocrUnavailable() {
+  if (/^https?:\/\//i.test(OCR_LANG_PATH || '')) return null;
+  const missing = OCR_LANG.split('+').filter(lang => !fs.existsSync(path.join(OCR_CACHE_DIR, `${lang}.traineddata`))
+    && !(OCR_LANG_PATH && fs.existsSync(path.join(OCR_LANG_PATH, `${lang}.traineddata.gz`))));
+  if (!missing.length) return null;
+  return `No Tesseract data for ${missing.join(', ')} in ${OCR_LANG_PATH || OCR_CACHE_DIR}. Set OCR_LANG_PATH to a folder with <lang>.traineddata.gz, or turn OCR off.`;
+}
+
+async function createReader() {
+  const { createWorker } = require('tesseract.js');
+  if (!fs.existsSync(OCR_CACHE_DIR)) fs.mkdirSync(OCR_CACHE_DIR, { recursive: true });
+  return createWorker(OCR_LANG, 1, { langPath: OCR_LANG_PATH, cachePath: OCR_CACHE_DIR });
+}
+
+// Runs MATH_OCR_COMMAND on one page image and returns its stdout. `{image}`
+// in the command is replaced by the image path, else the path is appended.
+function runMathOcr(png, { signal } = {}) {
+  const file = path.join(os.tmpdir(), `theorem2pdf-ocr-${process.pid}-${Date.now()}.png`);
+  fs.writeFileSync(file, png);
+  const command = MATH_OCR_COMMAND.includes('{image}')
+    ? MATH_OCR_COMMAND.split('{image}').join(JSON.stringify(file))
+    : `${MATH_OCR_COMMAND} ${JSON.stringify(file)}`;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { shell: true, signal, timeout: MATH_OCR_TIMEOUT_MS });
+    let out = '';
+    let err = '';
+    child.stdout.on('data', d => { out += d; });
+    child.stderr.on('data', d => { err += d; });
+    child.on('error', reject);
+    child.on('close', code => {
+      fs.rmSync(file, { force: true });
+      if (code === 0) resolve(out.trim());
+      else reject(new Error(`Math OCR exited with ${code}: ${err.trim().slice(0, 200)}`));
+    });
+  });
+}
+
+// Re-reads the pages that need it and returns the document with their text
+// replaced, plus `ocrPages`: one `{ page, engine, confidence, lowConfidence }`
+// per page that went through OCR. `mode` is one of OCR_MODES. In "auto" mode
+// a Tesseract that cannot run leaves the remaining pages their text layer
+// and says so in `ocrWarning`; "force" fails instead.
+async function ocrDocument(data, parsed, { mode = OCR_MODE, onPage, signal } = {}) {
+  let targets = candidatePages(parsed, mode);
+  if (!targets.length) return { ...parsed, ocrPages: [] };
+
+  const texts = new Map();
+  const ocrPages = [];
+  let ocrWarning = null;
+  let rendered = null;
+  let reader = null;
+  try {
+    rendered = await openDocument(data);
+    targets = await selectPages(rendered, parsed, mode);
+    if (!targets.length) return { ...parsed, ocrPages: [] };
+    const unavailable = ocrUnavailable();
+    if (unavailable) throw new Error(unavailable);
+    reader = await createReader();
+    for (const [i, pageNumber] of targets.entries()) {
+      signal?.throwIfAborted();
+      const png = await renderPage(rendered, pageNumber);
+      const { data: result } = await reader.recognize(png);
+      let text = result.text || '';
+      let engine = 'tesseract';
+      if (MATH_OCR_COMMAND) {
+        try {
+          text = await runMathOcr(png, { signal });
+          engine = 'math-ocr';
+        } catch (err) {
+          if (signal?.aborted) throw err;
+          console.error(`Math OCR failed on page ${pageNumber}, keeping Tesseract text:`, err.message);
+        }
+      }
+      // A blank page reads as nothing at confidence 0, which is no reason to flag it.
+      const confidence = Math.round(result.confidence || 0);
+      const lowConfidence = confidence < OCR_MIN_CONFIDENCE && text.trim().length > 0;
+      texts.set(pageNumber, text);
+      ocrPages.push({ page: pageNumber, engine, confidence, lowConfidence });
+      if (onPage) onPage({ done: i + 1, total: targets.length });
+    }
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    if (mode === 'force') throw new Error(`OCR failed: ${err.message}`);
+    const unread = targets.filter(p => !texts.has(p));
+    ocrWarning = `OCR failed (${err.message}); page${unread.length === 1 ? '' : 's'} ${unread.join(', ')} kept ${unread.length === 1 ? 'its' : 'their'} text layer.`;
+    console.error(ocrWarning);
+  } finally {
+    if (reader) await reader.terminate();
+    if (rendered) await rendered.doc.destroy();
+  }
+
+  const pages = parsed.pages.map(p => (texts.has(p.page) ? { ...p, text: texts.get(p.page) } : p));
+  return { ...parsed, pages, text: pages.map(p => p.text).join('\n\n'), ocrPages, ...(ocrWarning ? { ocrWarning } : {}) };
+}
+
+module.exports = { OCR_MODES, OCR_MODE, OCR_SCALE, OCR_MIN_CONFIDENCE, needsOcr, ocrTargets, ocrUnavailable, ocrDocument };
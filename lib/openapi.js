@@ -0,0 +1,465 @@
+// OpenAPI 3 description of the /api/v1 routes, served at
+// /api/v1/openapi.json. Enumerations come from the modules that check them,
+// so the description cannot drift from what the server accepts.
+
+const { version } = require('../package.json');
+const { EXTRACT_MODES, LINKED_TYPES } = require('./extract');
+const { OCR_MODES } = require('./ocr');
+const { ANKI_FORMATS } = require('./anki-export');
+const { LAYOUT_OPTIONS } = require('./render');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const file = type => ({ content: { [type]: { schema: { type: 'string', format: 'binary' } } } });
+
+function ok(description, schema) {
+  return { description, ...(schema ? json(schema) : {}) };
+}
+
+function errors(...statuses) {
+  const descriptions = {
+    400: 'Invalid request',
+    404: 'Not found',
+    409: 'Conflicts with the current state',
+    413: 'Upload too large or too many pages',
+    429: 'Rate limit or LLM quota reached; see Retry-After',
+    500: 'Server error'
+  };
+  return Object.fromEntries(statuses.map(s => [s, { description: descriptions[s], ...json(ref('Error')) }]));
+}
+
+const pageRange = { type: 'array', items: { type: 'integer' }, nullable: true, description: '`[first, last]` page' };
+
+const idParam = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+
+const itemsBody = (options = {}) => ({
+  required: true,
+  ...json({
+    type: 'object',
+    required: ['items'],
+    properties: { items: { type: 'array', items: ref('Item') }, ...options }
+  })
+});
+
+const upload = {
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: {
+        type: 'object',
+        required: ['pdf'],
+        properties: {
+          pdf: { type: 'array', items: { type: 'string', format: 'binary' }, description: 'One or more PDFs' },
+          mode: { type: 'string', enum: EXTRACT_MODES, description: 'Defaults to EXTRACT_MODE' },
+          include: { type: 'string', description: `Comma-separated linked types: ${LINKED_TYPES.join(', ')}` },
+          ocr: { type: 'string', enum: OCR_MODES, description: 'Defaults to OCR_MODE' },
+          refresh: { type: 'string', enum: ['true', 'false'], description: 'Ignore cached results' },
+          collapse: { type: 'string', enum: ['true', 'false'], description: 'Drop statements repeated word for word across documents' }
+        }
+      }
+    }
+  }
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: { error: { type: 'string' }, details: { type: 'string' } }
+  },
+  Item: {
+    type: 'object',
+    required: ['type', 'content'],
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string', description: 'definition, theorem, lemma, ... or a linked type' },
+      title: { type: 'string' },
+      content: { type: 'string', description: 'LaTeX' },
+      page: { type: 'integer', nullable: true },
+      pageRange,
+      source: { type: 'string', description: 'Document the item came from' },
+      alsoIn: { type: 'array', items: { type: 'string' } },
+      children: { type: 'array', items: ref('Item') },
+      latex: {
+        type: 'object',
+        properties: {
+          repairs: { type: 'array', items: { type: 'string' } },
+          errors: { type: 'array', items: { type: 'object', properties: { message: { type: 'string' }, tex: { type: 'string' } } } }
+        }
+      },
+      fidelity: {
+        type: 'object',
+        properties: {
+          score: { type: 'number' },
+          low: { type: 'boolean' },
+          page: { type: 'integer', nullable: true },
+          start: { type: 'integer', nullable: true },
+          end: { type: 'integer', nullable: true },
+          source: { type: 'string', nullable: true }
+        }
+      }
+    }
+  },
+  Stats: {
+    type: 'object',
+    description: 'Per-document stats; a batch also has totalFiles and `documents`, one per file.',
+    properties: {
+      fileName: { type: 'string' },
+      fileHash: { type: 'string' },
+      totalFiles: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      totalItems: { type: 'integer' },
+      mode: { type: 'string', enum: EXTRACT_MODES },
+      provider: { type: 'string', nullable: true },
+      model: { type: 'string', nullable: true },
+      cached: { type: 'boolean' },
+      cacheKey: { type: 'string' },
+      cachedAt: { type: 'string', format: 'date-time' },
+      ocrPages: { type: 'array', items: { type: 'object' } },
+      ocrWarning: { type: 'string', description: 'Set when OCR could not run and pages kept their text layer' },
+      lowFidelity: { type: 'integer' },
+      totalChunks: { type: 'integer' },
+      failedChunks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            chunk: { type: 'integer' },
+            pageRange,
+            status: { type: 'string', enum: ['partial', 'failed'] },
+            errors: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      usage: ref('Usage'),
+      documents: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  Usage: {
+    type: 'object',
+    description: 'LLM tokens of an extraction; `estimated` when some were counted from the text instead of reported by the provider.',
+    properties: {
+      promptTokens: { type: 'integer' },
+      completionTokens: { type: 'integer' },
+      totalTokens: { type: 'integer' },
+      requests: { type: 'integer' },
+      estimated: { type: 'boolean' },
+      cost: { type: 'number', nullable: true, description: 'Null when the model has no price' },
+      currency: { type: 'string', enum: ['USD'] },
+      chunks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            chunk: { type: 'integer' },
+            pageRange,
+            promptTokens: { type: 'integer' },
+            completionTokens: { type: 'integer' },
+            totalTokens: { type: 'integer' },
+            requests: { type: 'integer' },
+            estimated: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  },
+  Estimate: {
+    type: 'object',
+    description: 'What extracting a document would take. OCR pages have no text yet and are not in the tokens; cached results cost nothing.',
+    properties: {
+      fileName: { type: 'string' },
+      totalPages: { type: 'integer' },
+      characters: { type: 'integer' },
+      ocrPages: { type: 'integer' },
+      cached: { type: 'boolean' },
+      promptTokens: { type: 'integer' },
+      completionTokens: { type: 'integer' },
+      totalTokens: { type: 'integer' },
+      requests: { type: 'integer' },
+      cost: { type: 'number', nullable: true }
+    }
+  },
+  Spend: {
+    type: 'object',
+    description: 'Logged LLM use; `unpriced` counts extractions whose model had no price.',
+    properties: {
+      extractions: { type: 'integer' },
+      requests: { type: 'integer' },
+      promptTokens: { type: 'integer' },
+      completionTokens: { type: 'integer' },
+      totalTokens: { type: 'integer' },
+      cost: { type: 'number' },
+      unpriced: { type: 'integer' }
+    }
+  },
+  Quota: {
+    type: 'object',
+    description: 'LLM spend in `currency`; all null but `used` and `currency` when there is no quota.',
+    properties: {
+      limit: { type: 'number', nullable: true },
+      used: { type: 'number' },
+      remaining: { type: 'number', nullable: true },
+      resetAt: { type: 'string', format: 'date-time', nullable: true },
+      currency: { type: 'string', enum: ['USD'] }
+    }
+  },
+  Graph: {
+    type: 'object',
+    properties: {
+      nodes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            type: { type: 'string', nullable: true },
+            title: { type: 'string' },
+            source: { type: 'string' },
+            terms: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      edges: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            kind: { type: 'string', enum: ['reference', 'term'] },
+            label: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  Extraction: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      content: { type: 'array', items: ref('Item') },
+      stats: ref('Stats'),
+      graph: ref('Graph')
+    }
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      status: { type: 'string', enum: ['running', 'done', 'failed', 'cancelled'] },
+      fileName: { type: 'string' },
+      progress: { type: 'object', description: '`{ chunk, totalChunks }`, with `file`, `totalFiles`, `fileName` and `stage` where they apply' },
+      items: { type: 'array', items: ref('Item') },
+      stats: { allOf: [ref('Stats')], nullable: true },
+      graph: { allOf: [ref('Graph')], nullable: true },
+      error: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      finishedAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  Session: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      id: { type: 'string' },
+      version: { type: 'integer' },
+      name: { type: 'string' },
+      fileName: { type: 'string', nullable: true },
+      fileHash: { type: 'string', nullable: true },
+      settings: { type: 'object' },
+      stats: { type: 'object', nullable: true },
+      items: { type: 'array', items: ref('Item') }
+    }
+  },
+  LayoutOptions: {
+    type: 'object',
+    description: `PDF layout; see "PDF layout" in the README. Also \`filename\`. Accepted keys: ${LAYOUT_OPTIONS.join(', ')}.`,
+    properties: {
+      filename: { type: 'string' },
+      theme: { type: 'string', enum: ['default', 'print', 'classic'] },
+      pdfFormat: { type: 'string' },
+      pdfOrientation: { type: 'string', enum: ['p', 'l', 'portrait', 'landscape'] },
+      pageMarginPt: { type: 'number', minimum: 0, maximum: 144 },
+      columns: { type: 'integer', minimum: 1, maximum: 2 },
+      includeLinked: { type: 'boolean' },
+      graph: ref('Graph')
+    },
+    additionalProperties: true
+  }
+};
+
+function buildOpenApi() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Theorem2PDF API',
+      version,
+      description: 'Extracts definitions, theorems and lemmas from PDF notes and exports them. Errors are `{ error, details? }` with a 4xx or 5xx status.'
+    },
+    servers: [{ url: '/api/v1' }],
+    paths: {
+      '/extract': {
+        post: {
+          summary: 'Upload PDFs and wait for their items',
+          requestBody: upload,
+          responses: { 200: ok('Extracted items', ref('Extraction')), ...errors(400, 413, 429, 500) }
+        }
+      },
+      '/estimate': {
+        post: {
+          summary: 'Estimate the LLM tokens and cost of an upload without extracting',
+          requestBody: upload,
+          responses: {
+            200: ok('Estimates per document and in total', {
+              type: 'object',
+              properties: {
+                mode: { type: 'string', enum: EXTRACT_MODES },
+                provider: { type: 'string', nullable: true },
+                model: { type: 'string', nullable: true },
+                currency: { type: 'string', enum: ['USD'] },
+                documents: { type: 'array', items: ref('Estimate') },
+                total: ref('Estimate'),
+                quota: ref('Quota')
+              }
+            }),
+            ...errors(400, 413, 429, 500)
+          }
+        }
+      },
+      '/extract/rerun': {
+        post: {
+          summary: 'Run the failed chunks of a cached LLM-mode extraction again',
+          requestBody: {
+            required: true,
+            ...json({
+              type: 'object',
+              required: ['cacheKey'],
+              properties: { cacheKey: { type: 'string' }, chunks: { type: 'array', items: { type: 'integer' } } }
+            })
+          },
+          responses: { 200: ok('The document\'s items', ref('Extraction')), ...errors(400, 404, 409, 429, 500) }
+        }
+      },
+      '/jobs': {
+        post: {
+          summary: 'Upload PDFs and extract them in the background',
+          requestBody: upload,
+          responses: {
+            202: ok('Job started', { type: 'object', properties: { success: { type: 'boolean' }, jobId: { type: 'string' }, status: { type: 'string' } } }),
+            ...errors(400, 413, 429, 500)
+          }
+        }
+      },
+      '/jobs/{id}': {
+        parameters: [idParam('id', 'Job id')],
+        get: { summary: 'Job status, progress and the items so far', responses: { 200: ok('The job', ref('Job')), ...errors(404) } },
+        delete: { summary: 'Cancel a running job', responses: { 200: ok('Cancelled'), ...errors(404, 409) } }
+      },
+      '/jobs/{id}/events': {
+        parameters: [idParam('id', 'Job id')],
+        get: {
+          summary: 'Server-Sent Events: snapshot, progress after every chunk, then done, failed or cancelled',
+          responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }, ...errors(404) }
+        }
+      },
+      '/graph': {
+        post: {
+          summary: 'Rebuild the dependency graph of edited items',
+          requestBody: itemsBody(),
+          responses: { 200: ok('Items with ids and their graph', { type: 'object', properties: { items: { type: 'array', items: ref('Item') }, graph: ref('Graph') } }), ...errors(400) }
+        }
+      },
+      '/latex/check': {
+        post: {
+          summary: 'Check and repair the LaTeX of edited items',
+          requestBody: itemsBody({ repair: { type: 'boolean', default: true } }),
+          responses: { 200: ok('Checked items', { type: 'object', properties: { items: { type: 'array', items: ref('Item') } } }), ...errors(400) }
+        }
+      },
+      '/render': {
+        post: {
+          summary: 'Render items as a vector PDF',
+          requestBody: itemsBody({ options: ref('LayoutOptions') }),
+          responses: { 200: { description: 'The PDF', ...file('application/pdf') }, ...errors(400, 429, 500) }
+        }
+      },
+      '/export/tex': {
+        post: {
+          summary: 'Export items as a LaTeX document',
+          requestBody: itemsBody({ options: { type: 'object', properties: { filename: { type: 'string' }, title: { type: 'string' }, includeLinked: { type: 'boolean' } } } }),
+          responses: { 200: { description: 'The .tex file', content: { 'application/x-tex': { schema: { type: 'string' } } } }, ...errors(400) }
+        }
+      },
+      '/export/anki': {
+        post: {
+          summary: 'Export items as Anki flashcards',
+          requestBody: itemsBody({
+            options: {
+              type: 'object',
+              properties: {
+                format: { type: 'string', enum: ANKI_FORMATS, default: 'tsv' },
+                deckName: { type: 'string' },
+                types: { type: 'array', items: { type: 'string' } },
+                filename: { type: 'string' }
+              }
+            }
+          }),
+          responses: { 200: { description: 'Cards as text or an .apkg deck', ...file('application/octet-stream') }, ...errors(400, 429, 500) }
+        }
+      },
+      '/cache': {
+        get: { summary: 'List cached results', responses: { 200: ok('Cache entries', { type: 'object', properties: { entries: { type: 'array', items: { type: 'object' } } } }) } },
+        delete: { summary: 'Clear the cache', responses: { 200: ok('Number of entries removed') } }
+      },
+      '/cache/{key}': {
+        parameters: [idParam('key', 'Cache key')],
+        delete: { summary: 'Remove one cached result', responses: { 200: ok('Removed'), ...errors(400, 404) } }
+      },
+      '/sessions': {
+        get: { summary: 'List saved sessions', responses: { 200: ok('Sessions', { type: 'object', properties: { sessions: { type: 'array', items: { type: 'object' } } } }) } },
+        post: { summary: 'Save a new session', requestBody: { required: true, ...json(ref('Session')) }, responses: { 201: ok('The session', ref('Session')), ...errors(400) } }
+      },
+      '/sessions/{id}': {
+        parameters: [idParam('id', 'Session id')],
+        get: { summary: 'Load a session', responses: { 200: ok('The session', ref('Session')), ...errors(400, 404) } },
+        put: { summary: 'Replace a session', requestBody: { required: true, ...json(ref('Session')) }, responses: { 200: ok('The session', ref('Session')), ...errors(400, 404) } },
+        delete: { summary: 'Delete a session', responses: { 200: ok('Deleted'), ...errors(400, 404) } }
+      },
+      '/quota': { get: { summary: 'The caller\'s LLM quota', responses: { 200: ok('Quota', ref('Quota')) } } },
+      '/usage': {
+        get: {
+          summary: 'LLM spend from the usage log, per day and per document',
+          parameters: [
+            { name: 'from', in: 'query', description: 'First day, YYYY-MM-DD', schema: { type: 'string', format: 'date' } },
+            { name: 'to', in: 'query', description: 'Last day, YYYY-MM-DD', schema: { type: 'string', format: 'date' } }
+          ],
+          responses: {
+            200: ok('Spend', {
+              type: 'object',
+              properties: {
+                currency: { type: 'string', enum: ['USD'] },
+                total: ref('Spend'),
+                days: { type: 'array', items: { allOf: [ref('Spend'), { type: 'object', properties: { date: { type: 'string', format: 'date' } } }] } },
+                documents: {
+                  type: 'array',
+                  items: {
+                    allOf: [ref('Spend'), {
+                      type: 'object',
+                      properties: { fileName: { type: 'string' }, fileHash: { type: 'string', nullable: true }, lastAt: { type: 'string', format: 'date-time' } }
+                    }]
+                  }
+                }
+              }
+            }),
+            ...errors(400)
+          }
+        }
+      },
+      '/health': { get: { summary: 'Liveness check', responses: { 200: ok('`{ status: "ok" }`') } } },
+      '/openapi.json': { get: { summary: 'This description', responses: { 200: ok('OpenAPI 3 document') } } }
+    },
+    components: { schemas }
+  };
+}
+
+module.exports = { buildOpenApi };
@@ -0,0 +1,108 @@
+const pdfParse = require('pdf-parse');
+
+// Same line reconstruction as pdf-parse's default renderer, but the text of
+// every page is kept so items can be traced back to where they appear.
+function renderPage(pageData, pages) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        if (lastY == item.transform[5] || !lastY) text += item.str;
+        else text += '\n' + item.str;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageNumber - 1] = text;
+      return text;
+    });
+}
+
+// With `maxPages`, pages after that many are not read; `numpages` still
+// counts them all.
+async function parsePdf(data, { maxPages = 0 } = {}) {
+  const pageTexts = [];
+  const parsed = await pdfParse(data, { max: maxPages, pagerender: pageData => renderPage(pageData, pageTexts) });
+
+  const pages = [];
+  for (let i = 0; i < parsed.numpages; i++) pages.push({ page: i + 1, text: pageTexts[i] || '' });
+
+  return {
+    numpages: parsed.numpages,
+    info: parsed.info,
+    text: pages.map(p => p.text).join('\n\n'),
+    pages
+  };
+}
+
+/* ---------- Locating items ---------- */
+
+function alnum(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function buildPageIndex(pages) {
+  let flat = '';
+  const starts = [];
+  for (const p of pages) {
+    starts.push({ page: p.page, offset: flat.length });
+    flat += alnum(p.text);
+  }
+  return { flat, starts };
+}
+
+function pageAt(index, offset) {
+  let page = null;
+  for (const s of index.starts) {
+    if (s.offset > offset) break;
+    page = s.page;
+  }
+  return page;
+}
+
+// Runs of plain words survive both LaTeX and the PDF text layer, so they
+// are what we look for. A run never spans math or a macro, whose rendering
+// in the text layer cannot be predicted.
+const MATH_OR_MACRO_RE = /\$\$[\s\S]*?\$\$|\$[^$]*\$|\\\[[\s\S]*?\\\]|\\\([\s\S]*?\\\)|\\[a-zA-Z]+/g;
+
+function contentProbes(content) {
+  const probes = [];
+  for (const segment of String(content || '').split(MATH_OR_MACRO_RE)) {
+    const words = segment.split(/\s+/).map(alnum).filter(Boolean);
+    for (let i = 0; i < words.length && probes.length < 3; i += 8) {
+      const run = words.slice(i, i + 8);
+      if (run.length >= 3) probes.push(run.join(''));
+    }
+  }
+  return probes.filter(p => p.length >= 12);
+}
+
+function locateItem(item, index) {
+  for (const probe of contentProbes(item.content)) {
+    const at = index.flat.indexOf(probe);
+    if (at !== -1) return pageAt(index, at);
+  }
+  const head = alnum(item.title).match(/^(definition|theorem|lemma|proposition|corollary|axiom)\d+/);
+  if (head) {
+    const at = index.flat.indexOf(head[0]);
+    if (at !== -1) return pageAt(index, at);
+  }
+  return null;
+}
+
+// Overwrites each item's `page` with the page its text was found on. When
+// the text cannot be found, a page reported by the model is kept only if it
+// lies inside the range of the chunk the item came from.
+function assignPages(items, pages) {
+  const index = buildPageIndex(pages);
+  return items.map(it => {
+    const { pageRange, ...item } = it;
+    const found = locateItem(item, index);
+    if (found != null) return { ...item, page: found };
+
+    const reported = Number(item.page);
+    const [from, to] = pageRange || [1, pages.length];
+    return { ...item, page: Number.isInteger(reported) && reported >= from && reported <= to ? reported : null };
+  });
+}
+
+module.exports = { parsePdf, assignPages };
@@ -0,0 +1,246 @@
+// The extraction pipeline behind both the server and the CLI: a PDF's bytes
+// in, checked items with their stats out, through the result cache. A
+// document is `{ name, load }`, where `load()` returns its bytes; uploads
+// are deleted once loaded, files on disk are just read.
+
+const { parsePdf } = require('./pdf-text');
+const { OCR_MODE, ocrTargets, ocrDocument } = require('./ocr');
+const { PROMPT_VERSION, CHUNK_TOKENS, CHUNK_OVERLAP_TOKENS, extractItems, extractChunks, combineChunks, dedupeByNumberedTitle, estimateUsage } = require('./extract');
+const { hashBuffer, cacheKey, getCached, putCached } = require('./cache');
+const { checkItems } = require('./latex-check');
+const { checkFidelity } = require('./fidelity');
+const { withIds, buildGraph } = require('./graph');
+const { UploadError } = require('./uploads');
+const { emptyUsage, addUsage, sumUsage, costOf, usageStats, logUsage } = require('./usage');
+
+function extractionSettings(provider, mode, include = [], ocr = OCR_MODE) {
+  const usesLlm = mode !== 'rules';
+  return {
+    mode,
+    include,
+    ocr,
+    provider: usesLlm ? provider.name : null,
+    model: usesLlm ? provider.model : null,
+    promptVersion: PROMPT_VERSION,
+    chunkTokens: mode === 'llm' ? CHUNK_TOKENS : null,
+    overlapTokens: mode === 'llm' ? CHUNK_OVERLAP_TOKENS : null
+  };
+}
+
+// Parses the PDF, refusing documents over `maxPages` (0 for any number) and
+// ones that do not parse.
+async function readPdf(name, data, maxPages) {
+  let parsed;
+  try {
+    parsed = await parsePdf(data, { maxPages });
+  } catch (err) {
+    throw new UploadError(`"${name}" could not be read as a PDF: ${err.message}`);
+  }
+  if (maxPages && parsed.numpages > maxPages) {
+    throw new UploadError(`"${name}" has ${parsed.numpages} pages; at most ${maxPages} are allowed.`, 413);
+  }
+  return parsed;
+}
+
+function countLowFidelity(items) {
+  return items.filter(it => [it, ...(it.children || [])].some(x => x.fidelity && x.fidelity.low)).length;
+}
+
+// What stats report of chunks that failed or lost items, without the items.
+function chunkFailures(chunks) {
+  return chunks.filter(c => c.status !== 'ok').map(({ items, usage, ...failure }) => failure);
+}
+
+// Records what a run spent, when it made requests at all.
+function logSpend(kind, fileName, fileHash, settings, usage) {
+  if (!usage.requests) return;
+  const { promptTokens, completionTokens, requests, estimated } = usage;
+  logUsage({
+    kind,
+    fileName,
+    fileHash,
+    provider: settings.provider,
+    model: settings.model,
+    mode: settings.mode,
+    promptTokens,
+    completionTokens,
+    requests,
+    estimated,
+    cost: costOf(usage, settings.provider, settings.model)
+  });
+}
+
+// An LLM-mode result with failed chunks also keeps the pages and every
+// chunk's items, so rerunChunks can redo just those chunks.
+function cacheEntry(fileName, fileHash, settings, items, stats, { pages, chunks }) {
+  const entry = { fileName, fileHash, settings, items, stats };
+  if (settings.mode === 'llm' && stats.failedChunks && stats.failedChunks.length) Object.assign(entry, { pages, chunks });
+  return entry;
+}
+
+/* ---------- One document ---------- */
+
+// Options: `provider` names the model in the settings and cache key, and
+// `llm` makes the requests (the provider itself unless the caller meters
+// it). `beforeLlm(parsed, name, estimate)` runs before the first request,
+// with the estimateUsage of the document, and may throw to stop there.
+// `maxPages` as in readPdf.
+async function extractDocument(doc, mode, { provider, llm = provider, include = [], ocr = OCR_MODE, refresh = false, maxPages = 0, beforeLlm, onChunk, signal } = {}) {
+  const data = await doc.load();
+  const fileHash = hashBuffer(data);
+  const settings = extractionSettings(provider, mode, include, ocr);
+  const key = cacheKey(fileHash, settings);
+
+  const cached = !refresh && getCached(key);
+  if (cached) {
+    if (onChunk) onChunk({ chunk: 1, totalChunks: 1, items: cached.items });
+    return {
+      items: cached.items,
+      stats: { ...cached.stats, cached: true, cacheKey: key, cachedAt: cached.createdAt }
+    };
+  }
+
+  // Image-only pages go through OCR first; progress reports them as stage "ocr".
+  const parsed = await ocrDocument(data, await readPdf(doc.name, data, maxPages), {
+    mode: ocr,
+    signal,
+    onPage: ({ done, total }) => onChunk && onChunk({ chunk: done, totalChunks: total, items: [], stage: 'ocr' })
+  });
+
+  if (mode !== 'rules' && beforeLlm) await beforeLlm(parsed, doc.name, estimateUsage(parsed, { mode, include }));
+  const { items: extracted, chunks } = await extractItems(parsed, { mode, llm, include, onChunk, signal });
+  const usage = usageStats(chunks, settings.provider, settings.model);
+  logSpend('extract', doc.name, fileHash, settings, usage);
+  if (chunks.length && chunks.every(c => c.status === 'failed')) {
+    throw new Error(`Every LLM request failed: ${chunks[0].errors[0]}`);
+  }
+  // Repaired and compared with the PDF before caching, so cached results
+  // need no second pass.
+  const items = checkFidelity(checkItems(extracted), parsed.pages);
+  const failedChunks = chunkFailures(chunks);
+  const stats = {
+    fileHash,
+    totalPages: parsed.numpages,
+    totalItems: items.length,
+    mode,
+    include,
+    provider: settings.provider,
+    model: settings.model,
+    ocrPages: parsed.ocrPages,
+    ...(parsed.ocrWarning ? { ocrWarning: parsed.ocrWarning } : {}),
+    lowFidelity: countLowFidelity(items),
+    ...(chunks.length ? { totalChunks: chunks.length, failedChunks, usage } : {})
+  };
+  // Hybrid batches cannot be re-run on their own, so a result with a failed
+  // one is not kept: extracting again retries it. Likewise pages OCR could
+  // not read.
+  if ((mode === 'hybrid' && failedChunks.length) || parsed.ocrWarning) return { items, stats: { ...stats, cached: false } };
+  putCached(key, cacheEntry(doc.name, fileHash, settings, items, stats, { pages: parsed.pages, chunks }));
+  return { items, stats: { ...stats, cached: false, cacheKey: key } };
+}
+
+// What extracting the document would take, without making a request:
+// `{ totalPages, characters, ocrPages, cached, ...usage, cost }`, the usage
+// from estimateUsage. Pages that need OCR have no text yet, so they count in
+// `ocrPages` but not in the tokens. A cached result costs nothing.
+async function estimateDocument(doc, mode, { provider, include = [], ocr = OCR_MODE, refresh = false, maxPages = 0 } = {}) {
+  const data = await doc.load();
+  const settings = extractionSettings(provider, mode, include, ocr);
+  const cached = !refresh && !!getCached(cacheKey(hashBuffer(data), settings));
+  const parsed = await readPdf(doc.name, data, maxPages);
+  const ocrPages = (await ocrTargets(data, parsed, ocr)).length;
+  const usage = cached || mode === 'rules' ? { ...emptyUsage(), estimated: true } : estimateUsage(parsed, { mode, include });
+  return {
+    totalPages: parsed.numpages,
+    characters: parsed.text.length,
+    ocrPages,
+    cached,
+    ...usage,
+    cost: usage.requests ? costOf(usage, settings.provider, settings.model) : 0
+  };
+}
+
+// Runs the chunks numbered in `only` of a cached LLM-mode result again and
+// merges their items with the other chunks'. The cache entry is updated.
+// The document's usage adds up every run; its `chunks` hold the latest run
+// of each chunk.
+async function rerunChunks(entry, only, { llm }) {
+  const { settings } = entry;
+  const records = await extractChunks(entry.pages, llm, { include: settings.include || [], only });
+  const spent = sumUsage(records.map(r => r.usage));
+  logSpend('rerun', entry.fileName, entry.fileHash, settings, spent);
+  const chunks = entry.chunks.map(c => records.find(r => r.chunk === c.chunk) || c);
+  const items = checkFidelity(checkItems(combineChunks(chunks, entry.pages)), entry.pages);
+  const total = addUsage(addUsage(emptyUsage(), entry.stats.usage || emptyUsage()), spent);
+  const usage = { ...usageStats(chunks, settings.provider, settings.model), ...total, cost: costOf(total, settings.provider, settings.model) };
+  const stats = { ...entry.stats, totalItems: items.length, lowFidelity: countLowFidelity(items), failedChunks: chunkFailures(chunks), usage };
+  putCached(entry.key, cacheEntry(entry.fileName, entry.fileHash, entry.settings, items, stats, { pages: entry.pages, chunks }));
+  return { items, stats: { ...stats, cached: false, cacheKey: entry.key } };
+}
+
+/* ---------- Several documents ---------- */
+
+// Names the documents of a batch, numbering repeats so that two "notes.pdf"
+// stay apart.
+function sourceNames(docs) {
+  const seen = new Map();
+  return docs.map(doc => {
+    const count = (seen.get(doc.name) || 0) + 1;
+    seen.set(doc.name, count);
+    return count > 1 ? `${doc.name} (${count})` : doc.name;
+  });
+}
+
+function tagSource(items, source) {
+  return (items || []).map(it => ({ ...it, source }));
+}
+
+function combineStats(documents, totalItems) {
+  if (documents.length === 1) return { ...documents[0], totalItems, documents };
+  const cached = documents.every(d => d.cached);
+  const usage = sumUsage(documents.map(d => d.usage));
+  return {
+    totalFiles: documents.length,
+    totalPages: documents.reduce((sum, d) => sum + (d.totalPages || 0), 0),
+    totalItems,
+    mode: documents[0].mode,
+    provider: documents[0].provider,
+    model: documents[0].model,
+    cached,
+    ...(cached ? { cachedAt: documents.map(d => d.cachedAt).sort().pop() } : {}),
+    ...(usage.requests ? { usage: { ...usage, cost: costOf(usage, documents[0].provider, documents[0].model), currency: 'USD' } } : {}),
+    documents
+  };
+}
+
+// Extracts each document in turn and merges the items in order, grouped by
+// their `source` document. `collapse` also drops statements that repeat word
+// for word across documents. The merged items get ids, which the dependency
+// graph refers to. Other options as for extractDocument.
+async function extractBatch(docs, mode, { collapse = false, onChunk, signal, ...options } = {}) {
+  const sources = sourceNames(docs);
+  const items = [];
+  const documents = [];
+  for (const [i, doc] of docs.entries()) {
+    signal?.throwIfAborted();
+    const source = sources[i];
+    const result = await extractDocument(doc, mode, {
+      ...options,
+      signal,
+      onChunk: onChunk && (update => onChunk({
+        ...update,
+        items: tagSource(update.items, source),
+        file: i + 1,
+        totalFiles: docs.length,
+        fileName: source
+      }))
+    });
+    items.push(...tagSource(result.items, source));
+    documents.push({ fileName: source, ...result.stats });
+  }
+
+  const merged = withIds(dedupeByNumberedTitle(items, { collapseSources: collapse }));
+  return { items: merged, stats: combineStats(documents, merged.length), graph: buildGraph(merged) };
+}
+
+module.exports = { extractionSettings, extractDocument, estimateDocument, extractBatch, rerunChunks };
@@ -0,0 +1,220 @@
+const OpenAI = require('openai');
+const { estimateTokens } = require('./chunking');
+const { numberOr } = require('./config');
+
+function loadProviderConfig(env = process.env) {
+  return {
+    openai: {
+      apiKey: env.OPENAI_API_KEY,
+      model: env.OPENAI_MODEL || 'gpt-4o-mini',
+      temperature: numberOr(env.OPENAI_TEMPERATURE, 0.1),
+      minIntervalMs: numberOr(env.OPENAI_MIN_INTERVAL_MS, 400),
+      jsonMode: true
+    },
+    local: {
+      baseURL: env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: env.LOCAL_LLM_API_KEY || 'not-needed',
+      model: env.LOCAL_LLM_MODEL || 'llama3.1',
+      temperature: numberOr(env.LOCAL_LLM_TEMPERATURE, 0.1),
+      minIntervalMs: numberOr(env.LOCAL_LLM_MIN_INTERVAL_MS, 0),
+      jsonMode: env.LOCAL_LLM_JSON_MODE !== 'false'
+    },
+    mock: {
+      model: 'mock',
+      temperature: 0,
+      minIntervalMs: numberOr(env.MOCK_LLM_MIN_INTERVAL_MS, 0),
+      jsonMode: true
+    }
+  };
+}
+
+/* ---------- Throttling ---------- */
+
+function createThrottle(minIntervalMs) {
+  let last = 0;
+  return async () => {
+    const wait = last + minIntervalMs - Date.now();
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
+    last = Date.now();
+  };
+}
+
+/* ---------- Usage ---------- */
+
+// For servers that report no usage: the same estimate chunking makes.
+function estimatedUsage(messages, reply) {
+  return {
+    promptTokens: messages.reduce((sum, m) => sum + estimateTokens(m.content), 0),
+    completionTokens: estimateTokens(reply),
+    estimated: true
+  };
+}
+
+/* ---------- Retries ---------- */
+
+// Rate limits, timeouts, server errors and dropped connections pass; a bad
+// key or a malformed request fails the same way every time.
+function isTransient(err) {
+  if (!err || err.name === 'AbortError') return false;
+  const status = Number(err.status);
+  if (status) return status === 408 || status === 409 || status === 429 || status >= 500;
+  return /timeout|timed out|ECONNRESET|ECONNREFUSED|EAI_AGAIN|ETIMEDOUT|socket hang up|Connection error/i.test(`${err.name} ${err.code} ${err.message}`);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+// Retries transient failures of `complete` up to `retries` times, waiting
+// baseDelayMs, 2 × baseDelayMs, ... or what the server's Retry-After asks.
+function withRetries(complete, { retries, baseDelayMs }) {
+  return async (messages, options = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await complete(messages, options);
+      } catch (err) {
+        if (attempt >= retries || !isTransient(err) || options.signal?.aborted) throw err;
+        const retryAfter = Number(err.headers?.['retry-after']) * 1000;
+        const delay = retryAfter > 0 ? retryAfter : baseDelayMs * 2 ** attempt;
+        console.warn(`LLM request failed (${err.status || err.message}), retrying in ${delay} ms`);
+        await sleep(delay, options.signal);
+      }
+    }
+  };
+}
+
+/* ---------- OpenAI-compatible (OpenAI, llama.cpp, Ollama, vLLM...) ---------- */
+
+function createOpenAICompatibleProvider(name, cfg, { requiresKey }) {
+  const throttle = createThrottle(cfg.minIntervalMs);
+  let client = null;
+
+  return {
+    name,
+    model: cfg.model,
+    temperature: cfg.temperature,
+    requiresKey,
+    isConfigured: () => !requiresKey || !!cfg.apiKey,
+
+    // `onUsage` receives the request's `{ promptTokens, completionTokens }`.
+    async complete(messages, { signal, onUsage } = {}) {
+      // Retries are withRetries' job, so the client makes one attempt.
+      if (!client) client = new OpenAI({ apiKey: cfg.apiKey, baseURL: cfg.baseURL, maxRetries: 0 });
+      await throttle();
+      const resp = await client.chat.completions.create({
+        model: cfg.model,
+        temperature: cfg.temperature,
+        ...(cfg.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+        messages
+      }, { signal });
+      const reply = resp.choices?.[0]?.message?.content || '';
+      if (onUsage) {
+        onUsage(resp.usage
+          ? { promptTokens: resp.usage.prompt_tokens || 0, completionTokens: resp.usage.completion_tokens || 0 }
+          : estimatedUsage(messages, reply));
+      }
+      return reply;
+    }
+  };
+}
+
+/* ---------- Mock (deterministic, offline, for tests) ---------- */
+
+const MOCK_HEAD_RE = /^(Definition|Theorem|Lemma|Proposition|Corollary|Axiom)\s+(\d+(?:\.\d+)*)(\s*\([^)]*\))?\.?\s*(.*)$/;
+
+const MOCK_LINKED_RE = /^(Proof|Example|Remark|Claim|Notation|Exercise)\b\.?\s*(\d+(?:\.\d+)*)?\.?\s*(.*)$/;
+
+// `include` is the list of linked types the prompt asked for.
+function mockExtract(text, include = []) {
+  const items = [];
+  let current = null;
+  let statement = null;
+  let page = null;
+  for (const line of String(text).split('\n')) {
+    const marker = line.match(/^\[\[Page (\d+)\]\]$/);
+    const m = line.trim().match(MOCK_HEAD_RE);
+    const linked = line.trim().match(MOCK_LINKED_RE);
+    if (marker) {
+      page = Number(marker[1]);
+      current = null;
+    } else if (m) {
+      current = {
+        type: m[1].toLowerCase(),
+        title: `${m[1]} ${m[2]}${m[3] || ''}`.trim(),
+        content: m[4] || '',
+        page
+      };
+      statement = current;
+      items.push(current);
+    } else if (linked && include.includes(linked[1].toLowerCase())) {
+      current = {
+        type: linked[1].toLowerCase(),
+        title: `${linked[1]}${linked[2] ? ` ${linked[2]}` : ''}`,
+        content: linked[3] || '',
+        page,
+        parent: statement ? statement.title : null
+      };
+      items.push(current);
+    } else if (current && line.trim()) {
+      current.content = current.content ? `${current.content}\n${line.trim()}` : line.trim();
+    } else {
+      current = null;
+    }
+  }
+  return items;
+}
+
+function createMockProvider(cfg) {
+  const throttle = createThrottle(cfg.minIntervalMs);
+  return {
+    name: 'mock',
+    model: cfg.model,
+    temperature: cfg.temperature,
+    requiresKey: false,
+    isConfigured: () => true,
+
+    async complete(messages, { onUsage } = {}) {
+      await throttle();
+      // The first user message holds the prompt; later ones ask for a fix.
+      const prompt = messages.find(m => m.role === 'user')?.content || '';
+      const m = prompt.match(/"""([\s\S]*)"""/);
+      const kinds = prompt.match(/Also extract every ([a-z, ]+?), with/);
+      const include = kinds ? kinds[1].split(/,\s*|\s+and\s+/) : [];
+      const reply = JSON.stringify({ items: mockExtract(m ? m[1] : '', include) });
+      if (onUsage) onUsage(estimatedUsage(messages, reply));
+      return reply;
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  openai: cfg => createOpenAICompatibleProvider('openai', cfg, { requiresKey: true }),
+  local: cfg => createOpenAICompatibleProvider('local', cfg, { requiresKey: false }),
+  mock: cfg => createMockProvider(cfg)
+};
+
+function createProvider(name, env = process.env) {
+  const key = String(name || env.LLM_PROVIDER || 'openai').toLowerCase().trim();
+  const factory = PROVIDER_FACTORIES[key];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${key}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}.`);
+  }
+  const provider = factory(loadProviderConfig(env)[key]);
+  provider.complete = withRetries(provider.complete, {
+    retries: numberOr(env.LLM_MAX_RETRIES, 3),
+    baseDelayMs: numberOr(env.LLM_RETRY_BASE_MS, 1000)
+  });
+  return provider;
+}
+
+module.exports = {
+  createProvider,
+  loadProviderConfig,
+  PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES)
+};
@@ -0,0 +1,181 @@
+// Runs public/pdf-generator.js on the server so /api/v1/render produces the same
+// vector PDF as the browser's export. jsdom stands in for the page, and
+// MathJax runs from mathjax-full with the version the page loads from the CDN.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const jspdf = require('jspdf');
+
+const GENERATOR_PATH = path.join(__dirname, '..', 'public', 'pdf-generator.js');
+
+// Layout options a client may set; everything else keeps the generator's default.
+const LAYOUT_OPTIONS = [
+  'pdfFormat', 'pdfOrientation', 'pageMarginPt', 'contentWidthPx', 'blockSpacingPx',
+  'colorMap', 'accentColor', 'textColor', 'mutedColor', 'badgeTextColor', 'cardBorderColor',
+  'theme', 'bodyFont', 'headingFont', 'columns', 'columnGapPt', 'cover', 'tableOfContents',
+  'termIndex', 'header', 'pageNumbers', 'includeLinked', 'graph'
+];
+
+let env = null;
+
+function createMathJax(window) {
+  const { mathjax } = require('mathjax-full/js/mathjax.js');
+  const { TeX } = require('mathjax-full/js/input/tex.js');
+  const { SVG } = require('mathjax-full/js/output/svg.js');
+  const { JsdomAdaptor } = require('mathjax-full/js/adaptors/jsdomAdaptor.js');
+  const { RegisterHTMLHandler } = require('mathjax-full/js/handlers/html.js');
+  const { AllPackages } = require('mathjax-full/js/input/tex/AllPackages.js');
+
+  RegisterHTMLHandler(new JsdomAdaptor(window));
+  const output = new SVG({ fontCache: 'none' });
+  const html = mathjax.document(window.document, {
+    InputJax: new TeX({ packages: AllPackages.filter(p => p !== 'bussproofs') }),
+    OutputJax: output
+  });
+  return {
+    tex2svg: (tex, options) => html.convert(tex, options),
+    startup: { output }
+  };
+}
+
+// svg2pdf parses style sheets and measures text through a free `document`.
+// Its bundle is run with the jsdom document in that place: a global one would
+// make other libraries in the process, tesseract.js among them, act as if
+// they ran in a browser. It registers itself as jsPDF's `svg` plugin.
+function loadSvg2pdf(window) {
+  const source = fs.readFileSync(require.resolve('svg2pdf.js'), 'utf8');
+  const module = { exports: {} };
+  new Function('module', 'exports', 'require', 'document', source)(module, module.exports, require, window.document);
+  return module.exports;
+}
+
+function loadEnvironment() {
+  if (env) return env;
+
+  const { window } = new JSDOM('<!DOCTYPE html><body><div id="pdfRenderContainer"></div></body>');
+  window.jspdf = jspdf;
+  window.MathJax = createMathJax(window);
+  loadSvg2pdf(window);
+  const html2canvas = () => {
+    throw new Error('Raster export is not available on the server.');
+  };
+
+  const source = fs.readFileSync(GENERATOR_PATH, 'utf8');
+  new Function('window', 'document', 'html2canvas', source)(window, window.document, html2canvas);
+
+  env = { window };
+  return env;
+}
+
+/* ---------- Checking requests ---------- */
+
+const PAGE_FORMATS = [
+  ...['a', 'b', 'c'].flatMap(series => Array.from({ length: 11 }, (_, n) => `${series}${n}`)),
+  'dl', 'letter', 'government-letter', 'legal', 'junior-legal', 'ledger', 'tabloid', 'credit-card'
+];
+const ORIENTATIONS = ['p', 'portrait', 'l', 'landscape'];
+const THEMES = ['default', 'print', 'classic'];
+const FONTS = ['times', 'helvetica', 'courier'];
+const COLOR_RE = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+// [min, max] of the numeric options; `columns` is a whole number.
+const NUMBER_RANGES = {
+  pageMarginPt: [0, 144],
+  contentWidthPx: [300, 2000],
+  blockSpacingPx: [0, 200],
+  columns: [1, 2],
+  columnGapPt: [0, 144]
+};
+const COLORS = ['accentColor', 'textColor', 'mutedColor', 'badgeTextColor', 'cardBorderColor'];
+const FLAGS = ['tableOfContents', 'termIndex', 'pageNumbers', 'includeLinked'];
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// An option as the generator expects it: numbers and flags may come as
+// strings, and page formats in any case.
+function coerceOption(key, value) {
+  if (NUMBER_RANGES[key] && typeof value === 'string' && value.trim() !== '') return Number(value);
+  if (FLAGS.includes(key) && (value === 'true' || value === 'false')) return value === 'true';
+  if ((key === 'pdfFormat' || key === 'pdfOrientation') && typeof value === 'string') return value.toLowerCase();
+  return value;
+}
+
+// What is wrong with a coerced layout option, or null.
+function optionError(key, value) {
+  if (NUMBER_RANGES[key]) {
+    const [min, max] = NUMBER_RANGES[key];
+    const ok = typeof value === 'number' && value >= min && value <= max && (key !== 'columns' || Number.isInteger(value));
+    return ok ? null : `"${key}" must be a number from ${min} to ${max}.`;
+  }
+  if (COLORS.includes(key)) {
+    if (key === 'cardBorderColor' && value === null) return null;
+    return typeof value === 'string' && COLOR_RE.test(value) ? null : `"${key}" must be a color like "#336699".`;
+  }
+  if (FLAGS.includes(key)) return typeof value === 'boolean' ? null : `"${key}" must be true or false.`;
+  switch (key) {
+    case 'pdfFormat':
+      return PAGE_FORMATS.includes(value) ? null : `Unknown "pdfFormat" "${value}". Use one of: ${PAGE_FORMATS.join(', ')}.`;
+    case 'pdfOrientation':
+      return ORIENTATIONS.includes(value) ? null : `"pdfOrientation" must be one of: ${ORIENTATIONS.join(', ')}.`;
+    case 'theme':
+      return THEMES.includes(value) ? null : `Unknown "theme" "${value}". Use one of: ${THEMES.join(', ')}.`;
+    case 'bodyFont':
+    case 'headingFont':
+      return FONTS.includes(value) ? null : `"${key}" must be one of: ${FONTS.join(', ')}.`;
+    case 'colorMap':
+      return isObject(value) && Object.values(value).every(c => typeof c === 'string' && COLOR_RE.test(c))
+        ? null : '"colorMap" must map item types to colors like "#336699".';
+    case 'header':
+      return typeof value === 'string' && value.length <= 200 ? null : '"header" must be text of at most 200 characters.';
+    case 'cover':
+      return value === null || (isObject(value) && ['title', 'subtitle', 'author'].every(k => value[k] === undefined || typeof value[k] === 'string'))
+        ? null : '"cover" must be an object with text "title", "subtitle" and "author".';
+    case 'graph':
+      return value === null || (isObject(value) && Array.isArray(value.nodes) && Array.isArray(value.edges))
+        ? null : '"graph" must have "nodes" and "edges" arrays.';
+    default:
+      return null;
+  }
+}
+
+// The layout options a client may set, checked and coerced. Returns
+// `{ options }`, or `{ error }` naming the first option that is wrong.
+function readLayoutOptions(options = {}) {
+  if (!isObject(options)) return { error: '"options" must be an object.' };
+  const picked = {};
+  for (const key of LAYOUT_OPTIONS) {
+    if (options[key] === undefined) continue;
+    const value = coerceOption(key, options[key]);
+    const error = optionError(key, value);
+    if (error) return { error };
+    picked[key] = value;
+  }
+  return { options: picked };
+}
+
+// Why `items` cannot be rendered, or null: each must be an object with text
+// `content`.
+function checkRenderItems(items) {
+  if (!Array.isArray(items) || items.length === 0) return 'Request body needs a non-empty "items" array.';
+  const bad = items.findIndex(it => !isObject(it) || typeof it.content !== 'string');
+  return bad === -1 ? null : `Item ${bad + 1} must be an object with a "content" string.`;
+}
+
+/* ---------- Rendering ---------- */
+
+// Throws on items or options that readLayoutOptions and checkRenderItems
+// refuse.
+async function renderPdf(items, options = {}) {
+  const badItems = checkRenderItems(items);
+  if (badItems) throw new Error(badItems);
+  const { options: layout, error } = readLayoutOptions(options);
+  if (error) throw new Error(error);
+  const { window } = loadEnvironment();
+  const gen = new window.LatexPDFGenerator({ ...layout, exportMode: 'vector' });
+  const pdf = await gen.buildVectorPDF(items);
+  return Buffer.from(pdf.output('arraybuffer'));
+}
+
+module.exports = { loadEnvironment, renderPdf, readLayoutOptions, checkRenderItems, LAYOUT_OPTIONS };
@@ -0,0 +1,83 @@
+// Heuristic extraction for notes compiled from LaTeX, whose text layer keeps
+// the "Theorem 2.3 (Name)." heads that amsthm prints.
+
+const HEAD_RE = /^(Definition|Theorem|Lemma|Proposition|Corollary|Axiom|Prop\.|Cor\.)\s+(\d+(?:\.\d+)*)(?!\.?\d)\.?\s*(\([^)]*\))?\s*[.:]\s*/;
+const STOP_RE = /^(Proof|Example|Examples|Remark|Exercise|Note|Notation|Claim)\b\.?/;
+// Heads of the proofs, examples, ... that STOP_RE ends a statement at, for
+// when they are extracted too. "Proof of Theorem 2.3." names its statement.
+const LINKED_HEAD_RE = /^(Proof|Example|Examples|Remark|Exercise|Note|Notation|Claim)\b(?:\s+of\s+((?:Definition|Theorem|Lemma|Proposition|Corollary|Axiom)\s+\d+(?:\.\d+)*))?\s*(\d+(?:\.\d+)*)?\.?\s*(\([^)]*\))?\s*[.:]?\s*/;
+const LINKED_TYPE_OF = {
+  proof: 'proof',
+  example: 'example',
+  examples: 'example',
+  remark: 'remark',
+  note: 'remark',
+  exercise: 'exercise',
+  notation: 'notation',
+  claim: 'claim'
+};
+
+function headType(word) {
+  return word.replace(/^prop\.$/i, 'proposition').replace(/^cor\.$/i, 'corollary').toLowerCase();
+}
+
+function headTitle(word, number, name) {
+  const head = headType(word);
+  return `${head.charAt(0).toUpperCase()}${head.slice(1)} ${number}${name ? ` ${name}` : ''}`;
+}
+
+function truncateStatement(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars);
+  const para = cut.lastIndexOf('\n\n');
+  if (para > maxChars / 2) return cut.slice(0, para);
+  const sentence = cut.search(/[.!?]\s[^.!?]*$/);
+  return sentence > maxChars / 2 ? cut.slice(0, sentence + 1) : cut;
+}
+
+// `include` lists the linked types (proof, example, ...) to keep; each gets
+// the title of the statement before it as `parent`.
+function extractByRules(text, { maxChars = 3000, include = [] } = {}) {
+  const items = [];
+  let current = null;
+  let body = [];
+  let lastStatement = null;
+
+  const flush = () => {
+    if (current) {
+      current.content = truncateStatement(body.join('\n').trim(), maxChars);
+      if (current.content) items.push(current);
+    }
+    current = null;
+    body = [];
+  };
+
+  for (const rawLine of String(text || '').split('\n')) {
+    const line = rawLine.trim();
+    const head = line.match(HEAD_RE);
+
+    if (head) {
+      flush();
+      current = { type: headType(head[1]), title: headTitle(head[1], head[2], head[3]), content: '', page: null };
+      lastStatement = current.title;
+      body.push(line.slice(head[0].length));
+    } else if (STOP_RE.test(line)) {
+      flush();
+      const linked = line.match(LINKED_HEAD_RE);
+      const type = linked && LINKED_TYPE_OF[linked[1].toLowerCase()];
+      if (type && include.includes(type)) {
+        const name = type.charAt(0).toUpperCase() + type.slice(1);
+        const title = `${name}${linked[3] ? ` ${linked[3]}` : ''}${linked[4] ? ` ${linked[4]}` : ''}`;
+        current = { type, title, content: '', page: null, parent: linked[2] || lastStatement };
+        body.push(line.slice(linked[0].length));
+      }
+    } else if (current) {
+      body.push(line);
+    }
+  }
+  flush();
+
+  return items;
+}
+
+module.exports = { extractByRules, HEAD_RE, STOP_RE };
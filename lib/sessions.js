@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(__dirname, '..', 'sessions');
+const SESSION_VERSION = 1;
+const SESSION_ID_RE = /^[a-f0-9]{32}$/;
+
+function sessionPath(id) {
+  if (!SESSION_ID_RE.test(id)) throw new Error('Invalid session id');
+  return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+// Keeps only the fields a project file is made of, so the same shape is
+// stored here, downloaded by the page and accepted back on import.
+function normalizeSession(input) {
+  const { name, fileName, fileHash, settings, stats, items } = input || {};
+  if (!Array.isArray(items)) throw new Error('Session needs an "items" array.');
+  if (items.some(it => !it || typeof it !== 'object')) throw new Error('Session items must be objects.');
+  return {
+    version: SESSION_VERSION,
+    name: String(name || fileName || 'Untitled session').slice(0, 200),
+    fileName: fileName ? String(fileName) : null,
+    fileHash: fileHash ? String(fileHash) : null,
+    settings: settings && typeof settings === 'object' ? settings : {},
+    stats: stats && typeof stats === 'object' ? stats : null,
+    items
+  };
+}
+
+function getSession(id) {
+  try {
+    return JSON.parse(fs.readFileSync(sessionPath(id), 'utf8'));
+  } catch (err) {
+    if (err.message === 'Invalid session id') throw err;
+    return null;
+  }
+}
+
+function writeSession(record) {
+  if (!fs.existsSync(SESSIONS_DIR)) fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+  fs.writeFileSync(sessionPath(record.id), JSON.stringify(record));
+  return record;
+}
+
+function createSession(input) {
+  const now = new Date().toISOString();
+  const id = crypto.randomBytes(16).toString('hex');
+  return writeSession({ id, ...normalizeSession(input), createdAt: now, updatedAt: now });
+}
+
+// Replaces a stored session's contents; returns null when it does not exist.
+function updateSession(id, input) {
+  const existing = getSession(id);
+  if (!existing) return null;
+  return writeSession({ id, ...normalizeSession(input), createdAt: existing.createdAt, updatedAt: new Date().toISOString() });
+}
+
+function deleteSession(id) {
+  const file = sessionPath(id);
+  if (!fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+}
+
+// Other files in the folder (editor backups, notes) are not sessions.
+function listSessions() {
+  if (!fs.existsSync(SESSIONS_DIR)) return [];
+  return fs.readdirSync(SESSIONS_DIR)
+    .map(f => f.match(/^(.+)\.json$/))
+    .filter(m => m && SESSION_ID_RE.test(m[1]))
+    .map(m => getSession(m[1]))
+    .filter(Boolean)
+    .map(({ id, name, fileName, fileHash, items, createdAt, updatedAt }) => ({
+      id, name, fileName, fileHash, totalItems: (items || []).length, createdAt, updatedAt
+    }))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+module.exports = { SESSION_VERSION, normalizeSession, getSession, createSession, updateSession, deleteSession, listSessions };
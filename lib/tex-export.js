@@ -0,0 +1,123 @@
+// Builds a standalone LaTeX document from extracted items, one amsthm
+// environment per item. Numbered items keep the author's number instead of
+// amsthm's own counter.
+
+const { LINKED_TYPES } = require('./extract');
+
+const ENVIRONMENTS = {
+  definition: { name: 'Definition', style: 'definition' },
+  axiom: { name: 'Axiom', style: 'definition' },
+  theorem: { name: 'Theorem', style: 'plain' },
+  lemma: { name: 'Lemma', style: 'plain' },
+  proposition: { name: 'Proposition', style: 'plain' },
+  corollary: { name: 'Corollary', style: 'plain' },
+  claim: { name: 'Claim', style: 'plain' },
+  example: { name: 'Example', style: 'definition' },
+  exercise: { name: 'Exercise', style: 'definition' },
+  remark: { name: 'Remark', style: 'remark' },
+  notation: { name: 'Notation', style: 'remark' }
+};
+const STYLE_ORDER = ['plain', 'definition', 'remark'];
+
+function envFor(type) {
+  const key = String(type || '').toLowerCase().trim();
+  return ENVIRONMENTS[key] ? key : 'definition';
+}
+
+// "Theorem 2.3 (Bolzano–Weierstrass)." -> { number: '2.3', note: 'Bolzano–Weierstrass' }
+function parseTitle(title) {
+  const text = String(title || '').trim();
+  const number = text.match(/^\S+\.?\s+(\d+(?:\.\d+)*)/);
+  const note = text.match(/\((.+)\)\s*[.:]?\s*$/);
+  return { number: number ? number[1] : null, note: note ? note[1].trim() : null };
+}
+
+// Escapes text-mode specials, leaving $...$ math alone.
+function escapeText(text) {
+  return String(text).split(/(\$[^$]*\$)/).map((part, i) =>
+    i % 2 ? part : part.replace(/([&%#_])/g, '\\$1').replace(/~/g, '\\textasciitilde{}').replace(/\^/g, '\\textasciicircum{}')
+  ).join('');
+}
+
+// An optional argument ends at the first "]", so one inside is braced.
+function optionalArg(text) {
+  if (!text) return '';
+  const escaped = escapeText(text);
+  return escaped.includes(']') ? `[{${escaped}}]` : `[${escaped}]`;
+}
+
+function buildPreamble(envs, { title } = {}) {
+  const lines = [
+    '\\documentclass[11pt]{article}',
+    '\\usepackage[utf8]{inputenc}',
+    '\\usepackage{amsmath,amssymb,amsthm}',
+    ''
+  ];
+
+  for (const style of STYLE_ORDER) {
+    const ofStyle = envs.filter(env => ENVIRONMENTS[env].style === style);
+    if (!ofStyle.length) continue;
+    lines.push(`\\theoremstyle{${style}}`);
+    for (const env of ofStyle) {
+      const { name } = ENVIRONMENTS[env];
+      lines.push(`\\newtheorem{${env}inner}{${name}}`);
+      lines.push(`\\newenvironment{${env}}[1]{\\renewcommand\\the${env}inner{#1}\\${env}inner}{\\end${env}inner}`);
+      lines.push(`\\newtheorem*{${env}*}{${name}}`);
+    }
+    lines.push('');
+  }
+
+  if (title) lines.push(`\\title{${escapeText(title)}}`, '\\date{}', '');
+  return lines;
+}
+
+// Proofs use amsthm's own proof environment; a heading other than plain
+// "Proof" becomes its label.
+function proofToTex(item) {
+  const title = String(item.title || '').trim().replace(/[.:]$/, '');
+  const opt = title && !/^proof$/i.test(title) ? optionalArg(title) : '';
+  return ['\\begin{proof}' + opt, String(item.content || '').trim(), '\\end{proof}'];
+}
+
+function itemToTex(item, { includeLinked = true } = {}) {
+  const lines = [];
+  if (item.page != null) lines.push(`% Source page: ${item.page}`);
+  lines.push(...envToTex(item), '');
+  if (includeLinked) {
+    for (const child of item.children || []) lines.push(...envToTex(child), '');
+  }
+  return lines.join('\n');
+}
+
+function envToTex(item) {
+  if (String(item.type || '').toLowerCase().trim() === 'proof') return proofToTex(item);
+  const env = envFor(item.type);
+  const { number, note } = parseTitle(item.title);
+  const opt = optionalArg(note);
+  const begin = number ? `\\begin{${env}}{${number}}${opt}` : `\\begin{${env}*}${opt}`;
+  const end = number ? `\\end{${env}}` : `\\end{${env}*}`;
+  return [begin, String(item.content || '').trim(), end];
+}
+
+// `options.includeLinked` (default true) writes each item's linked proofs,
+// examples, ... after it. When false they are left out, along with linked
+// items that found no statement.
+function buildTex(allItems, options = {}) {
+  const { includeLinked = true } = options;
+  const items = includeLinked
+    ? allItems
+    : allItems.filter(it => !LINKED_TYPES.includes(String(it.type || '').toLowerCase().trim()));
+  const all = items.flatMap(it => (includeLinked ? [it, ...(it.children || [])] : [it]))
+    .filter(it => String(it.type || '').toLowerCase().trim() !== 'proof');
+  const envs = Object.keys(ENVIRONMENTS).filter(env => all.some(it => envFor(it.type) === env));
+  return [
+    ...buildPreamble(envs, options),
+    '\\begin{document}',
+    ...(options.title ? ['\\maketitle', ''] : ['']),
+    ...items.map(it => itemToTex(it, { includeLinked })),
+    '\\end{document}',
+    ''
+  ].join('\n');
+}
+
+module.exports = { buildTex, parseTitle };
@@ -0,0 +1,151 @@
+// Receiving uploaded PDFs. The client's file name and MIME type are not
+// trusted: files are stored under a random name and must start like a PDF.
+// With UPLOAD_STORAGE=memory nothing is written to disk; otherwise the file
+// in uploads/ is removed as soon as it has been read, and leftovers from a
+// crash are swept away.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { numberOr } = require('./config');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+const UPLOAD_STORAGE = process.env.UPLOAD_STORAGE === 'memory' ? 'memory' : 'disk';
+// 0 lifts each of these limits.
+const MAX_UPLOAD_FILES = numberOr(process.env.MAX_UPLOAD_FILES, 20);
+const MAX_UPLOAD_MB = numberOr(process.env.MAX_UPLOAD_MB, 50);
+const MAX_PDF_PAGES = numberOr(process.env.MAX_PDF_PAGES, 500);
+// Files older than this in UPLOAD_DIR belong to no running request.
+const STALE_UPLOAD_MS = 60 * 60 * 1000;
+// The PDF spec lets readers accept the header anywhere in the first 1024 bytes.
+const HEADER_BYTES = 1024;
+
+// An upload the server will not process, with the status to answer with.
+class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
+
+/* ---------- Receiving ---------- */
+
+const storage = UPLOAD_STORAGE === 'memory' ? multer.memoryStorage() : multer.diskStorage({
+  destination: (_req, _file, cb) => {
+    if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    cb(null, UPLOAD_DIR);
+  },
+  filename: (_req, _file, cb) => cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}.pdf`)
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_UPLOAD_MB ? MAX_UPLOAD_MB * 1024 * 1024 : Infinity, files: MAX_UPLOAD_FILES || Infinity, fields: 20, fieldSize: 64 * 1024 }
+}).array('pdf', MAX_UPLOAD_FILES || undefined);
+
+function uploadErrorMessage(err) {
+  if (err.code === 'LIMIT_FILE_SIZE') return [413, `Each PDF may be at most ${MAX_UPLOAD_MB} MB.`];
+  if (err.code === 'LIMIT_FILE_COUNT') return [413, `At most ${MAX_UPLOAD_FILES} PDFs can be sent in one request.`];
+  // Also what multer reports for one file more than the field allows.
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') return [400, `Send at most ${MAX_UPLOAD_FILES} PDFs, all in "pdf" fields.`];
+  return [400, `Invalid upload: ${err.message}`];
+}
+
+// Middleware that puts the `pdf` files of a multipart request in req.files.
+// Multer's errors are answered as JSON; it removes what it had written.
+function receivePdfs(req, res, next) {
+  upload(req, res, err => {
+    if (!err) return next();
+    const [status, error] = err instanceof multer.MulterError ? uploadErrorMessage(err) : [400, `Invalid upload: ${err.message}`];
+    return res.status(status).json({ error });
+  });
+}
+
+// The name shown for an upload: no directories or control characters.
+function displayName(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/')).replace(/[\u0000-\u001f\u007f]+/g, '').trim();
+  return base.slice(0, 200) || 'document.pdf';
+}
+
+/* ---------- Checking ---------- */
+
+function headerOf(file) {
+  if (file.buffer) return file.buffer.subarray(0, HEADER_BYTES);
+  const fd = fs.openSync(file.path, 'r');
+  try {
+    const header = Buffer.alloc(HEADER_BYTES);
+    return header.subarray(0, fs.readSync(fd, header, 0, HEADER_BYTES, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function isPdf(file) {
+  return headerOf(file).includes('%PDF-');
+}
+
+// Error message for the first upload that is not a PDF, or null. Also gives
+// every file its display name.
+function checkUploads(files) {
+  for (const file of files) {
+    file.originalname = displayName(file.originalname);
+    if (!isPdf(file)) return `"${file.originalname}" is not a PDF file.`;
+  }
+  return null;
+}
+
+/* ---------- Cleaning up ---------- */
+
+function removeUploads(files = []) {
+  for (const file of files) if (file.path) fs.rmSync(file.path, { force: true });
+}
+
+// The upload's bytes. A file on disk is removed once read, whatever happens
+// to the extraction after that.
+function readUpload(file) {
+  if (file.buffer) return file.buffer;
+  try {
+    return fs.readFileSync(file.path);
+  } finally {
+    removeUploads([file]);
+  }
+}
+
+function sweepUploads() {
+  if (!fs.existsSync(UPLOAD_DIR)) return 0;
+  let removed = 0;
+  for (const name of fs.readdirSync(UPLOAD_DIR)) {
+    const file = path.join(UPLOAD_DIR, name);
+    try {
+      const stat = fs.statSync(file);
+      if (!stat.isFile() || Date.now() - stat.mtimeMs < STALE_UPLOAD_MS) continue;
+      fs.rmSync(file, { force: true });
+      removed++;
+    } catch (err) {
+      console.error(`Could not remove stale upload ${name}:`, err.message);
+    }
+  }
+  return removed;
+}
+
+// Sweeps UPLOAD_DIR now and every STALE_UPLOAD_MS.
+function startUploadSweeper() {
+  sweepUploads();
+  setInterval(sweepUploads, STALE_UPLOAD_MS).unref();
+}
+
+module.exports = {
+  UPLOAD_STORAGE,
+  MAX_UPLOAD_FILES,
+  MAX_UPLOAD_MB,
+  MAX_PDF_PAGES,
+  UploadError,
+  receivePdfs,
+  checkUploads,
+  readUpload,
+  removeUploads,
+  sweepUploads,
+  startUploadSweeper
+};
@@ -0,0 +1,169 @@
+// LLM token usage and what it costs. Providers report `{ promptTokens,
+// completionTokens }` per request; these add up per chunk and per document
+// into a usage object, priced with a table per model. Every extraction that
+// made requests is appended to a log that /api/v1/usage summarises.
+
+const fs = require('fs');
+const path = require('path');
+
+const USAGE_LOG = process.env.USAGE_LOG || path.join(__dirname, '..', 'usage', 'usage.jsonl');
+
+// USD per million tokens: list prices when this was written. LLM_PRICES, as
+// JSON or the path of a JSON file, overrides or adds models, either by model
+// name or as "provider/model".
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+// Providers that run on this machine cost nothing unless priced.
+const FREE_PROVIDERS = ['local', 'mock'];
+
+function loadPrices(value = process.env.LLM_PRICES) {
+  if (!value) return DEFAULT_PRICES;
+  let extra;
+  try {
+    extra = JSON.parse(value.trim().startsWith('{') ? value : fs.readFileSync(value, 'utf8'));
+  } catch (err) {
+    throw new Error(`LLM_PRICES is neither JSON nor a readable JSON file: ${err.message}`);
+  }
+  for (const [model, price] of Object.entries(extra)) {
+    if (!price || !Number.isFinite(price.input) || !Number.isFinite(price.output)) {
+      throw new Error(`LLM_PRICES: "${model}" needs numeric "input" and "output" prices per million tokens.`);
+    }
+  }
+  return { ...DEFAULT_PRICES, ...extra };
+}
+
+const PRICES = loadPrices();
+
+// `{ input, output }` for the model, or null when it has no price. Dated
+// snapshots ("gpt-4o-mini-2024-07-18") take the price of their model.
+function priceFor(provider, model) {
+  const name = String(model || '');
+  if (PRICES[`${provider}/${name}`]) return PRICES[`${provider}/${name}`];
+  if (PRICES[name]) return PRICES[name];
+  const base = Object.keys(PRICES)
+    .filter(key => name.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (base) return PRICES[base];
+  return FREE_PROVIDERS.includes(provider) ? { input: 0, output: 0 } : null;
+}
+
+/* ---------- Counting ---------- */
+
+// `estimated` is set once any part was counted by estimateTokens instead of
+// reported by the provider.
+function emptyUsage() {
+  return { promptTokens: 0, completionTokens: 0, totalTokens: 0, requests: 0, estimated: false };
+}
+
+function addUsage(total, usage) {
+  if (!usage) return total;
+  total.promptTokens += usage.promptTokens || 0;
+  total.completionTokens += usage.completionTokens || 0;
+  total.totalTokens = total.promptTokens + total.completionTokens;
+  total.requests += usage.requests === undefined ? 1 : usage.requests;
+  total.estimated = total.estimated || !!usage.estimated;
+  return total;
+}
+
+function sumUsage(list) {
+  return list.reduce((total, usage) => addUsage(total, usage), emptyUsage());
+}
+
+// The cost of `usage` in USD, or null when the model has no price.
+function costOf(usage, provider, model) {
+  const price = priceFor(provider, model);
+  if (!price) return null;
+  return Math.round((usage.promptTokens * price.input + usage.completionTokens * price.output)) / 1e6;
+}
+
+// A document's usage for its stats: the totals, their cost, and the tokens
+// of each chunk.
+function usageStats(chunks, provider, model) {
+  const total = sumUsage(chunks.map(c => c.usage));
+  return {
+    ...total,
+    cost: costOf(total, provider, model),
+    currency: 'USD',
+    chunks: chunks.map(c => ({ chunk: c.chunk, pageRange: c.pageRange, ...c.usage }))
+  };
+}
+
+/* ---------- Log ---------- */
+
+// Appends one line per extraction or re-run that made LLM requests:
+// `{ at, kind, fileName, fileHash, provider, model, mode, promptTokens,
+// completionTokens, requests, estimated, cost }`.
+function logUsage(record) {
+  try {
+    fs.mkdirSync(path.dirname(USAGE_LOG), { recursive: true });
+    fs.appendFileSync(USAGE_LOG, `${JSON.stringify({ at: new Date().toISOString(), ...record })}\n`);
+  } catch (err) {
+    console.error('Could not write the usage log:', err.message);
+  }
+}
+
+function readUsageLog() {
+  if (!fs.existsSync(USAGE_LOG)) return [];
+  const records = [];
+  for (const line of fs.readFileSync(USAGE_LOG, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // A line cut short by a crash.
+    }
+  }
+  return records;
+}
+
+function emptyTotals() {
+  return { extractions: 0, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpriced: 0 };
+}
+
+function addRecord(totals, r) {
+  totals.extractions++;
+  totals.requests += r.requests || 0;
+  totals.promptTokens += r.promptTokens || 0;
+  totals.completionTokens += r.completionTokens || 0;
+  totals.totalTokens = totals.promptTokens + totals.completionTokens;
+  if (r.cost === null || r.cost === undefined) totals.unpriced++;
+  else totals.cost = Math.round((totals.cost + r.cost) * 1e6) / 1e6;
+  return totals;
+}
+
+// Spend per day (UTC) and per document between the ISO dates `from` and
+// `to` (inclusive, either may be left out). `unpriced` counts the
+// extractions whose model had no price and so add nothing to `cost`.
+function summarizeUsage({ from, to } = {}) {
+  const records = readUsageLog().filter(r => (!from || r.at.slice(0, 10) >= from) && (!to || r.at.slice(0, 10) <= to));
+  const days = new Map();
+  const documents = new Map();
+  const total = emptyTotals();
+  for (const r of records) {
+    addRecord(total, r);
+    const day = r.at.slice(0, 10);
+    if (!days.has(day)) days.set(day, { date: day, ...emptyTotals() });
+    addRecord(days.get(day), r);
+    const key = r.fileHash || r.fileName;
+    if (!documents.has(key)) documents.set(key, { fileName: r.fileName, fileHash: r.fileHash || null, ...emptyTotals(), lastAt: null });
+    const doc = documents.get(key);
+    addRecord(doc, r);
+    doc.fileName = r.fileName;
+    doc.lastAt = r.at;
+  }
+  return {
+    currency: 'USD',
+    total,
+    days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    documents: [...documents.values()].sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens)
+  };
+}
+
+module.exports = { PRICES, priceFor, emptyUsage, addUsage, sumUsage, costOf, usageStats, logUsage, summarizeUsage };
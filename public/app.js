@@ -3,71 +3,265 @@ const fileInput = document.getElementById('fileInput');
 const fileInfo = document.getElementById('fileInfo');
 const fileName = document.getElementById('fileName');
 const processBtn = document.getElementById('processBtn');
+const modeSelect = document.getElementById('modeSelect');
+const refreshCheck = document.getElementById('refreshCheck');
+const ocrSelect = document.getElementById('ocrSelect');
+const collapseLabel = document.getElementById('collapseLabel');
+const collapseCheck = document.getElementById('collapseCheck');
+const costEstimate = document.getElementById('costEstimate');
 const loading = document.getElementById('loading');
 const loadingText = document.getElementById('loadingText');
+const progressText = document.getElementById('progressText');
+const cancelBtn = document.getElementById('cancelBtn');
 const results = document.getElementById('results');
 const extractedContent = document.getElementById('extractedContent');
 const downloadBtn = document.getElementById('downloadBtn');
+const exportModeSelect = document.getElementById('exportModeSelect');
+const exportDialog = document.getElementById('exportDialog');
+const exportForm = document.getElementById('exportForm');
+const exportCancelBtn = document.getElementById('exportCancelBtn');
+const downloadTexBtn = document.getElementById('downloadTexBtn');
+const includeLinkedCheck = document.getElementById('includeLinkedCheck');
+const deckNameInput = document.getElementById('deckNameInput');
+const ankiFormatSelect = document.getElementById('ankiFormatSelect');
+const downloadAnkiBtn = document.getElementById('downloadAnkiBtn');
+const saveProjectBtn = document.getElementById('saveProjectBtn');
+const shareSessionBtn = document.getElementById('shareSessionBtn');
+const openProjectBtn = document.getElementById('openProjectBtn');
+const projectInput = document.getElementById('projectInput');
+const sessionSelect = document.getElementById('sessionSelect');
+const openSessionBtn = document.getElementById('openSessionBtn');
+const searchInput = document.getElementById('searchInput');
+const typeFilters = document.getElementById('typeFilters');
+const sortSelect = document.getElementById('sortSelect');
+const toc = document.getElementById('toc');
+const graphPanel = document.getElementById('graphPanel');
+const graphView = document.getElementById('graphView');
 const errorDiv = document.getElementById('error');
 
-let currentFile = null;
+const AUTOSAVE_KEY = 'theorem2pdf:session';
+const PDF_LAYOUT_KEY = 'theorem2pdf:pdf-layout';
+const API_BASE = '/api/v1';
+
+let currentFiles = [];
 let extractedData = [];
+let extractionStats = null;
+let currentJobId = null;
+let sourceFileName = null;
+let sessionName = null;
+let currentSessionId = null;
+let autosaveTimer = null;
+let dependencyGraph = null;
+let graphTimer = null;
+let searchTimer = null;
+// Types unticked in the toolbar; new types show up ticked.
+const hiddenTypes = new Set();
+// The card (and its cross-link line) of every item on screen.
+const itemCards = new Map();
+let renderQueue = Promise.resolve();
+// Counts estimate requests, so a reply to older settings is dropped.
+let estimateRequest = 0;
 
 uploadBox.addEventListener('click', () => fileInput.click());
-fileInput.addEventListener('change', e => handleFile(e.target.files[0]));
+fileInput.addEventListener('change', e => handleFiles(e.target.files));
 uploadBox.addEventListener('dragover', e => { e.preventDefault(); uploadBox.classList.add('dragover'); });
 uploadBox.addEventListener('dragleave', () => uploadBox.classList.remove('dragover'));
 uploadBox.addEventListener('drop', e => {
   e.preventDefault();
   uploadBox.classList.remove('dragover');
-  handleFile(e.dataTransfer.files[0]);
+  handleFiles(e.dataTransfer.files);
 });
 
-function handleFile(file) {
-  if (!file) return;
-  if (file.type !== 'application/pdf') return showError('Please upload a PDF file');
+function handleFiles(fileList) {
+  const files = Array.from(fileList || []);
+  if (!files.length) return;
+  if (files.some(f => f.type !== 'application/pdf')) return showError('Please upload PDF files only');
 
-  currentFile = file;
-  fileName.textContent = file.name;
+  currentFiles = files;
+  sourceFileName = files.length === 1 ? files[0].name : `${files.length} documents`;
+  fileName.textContent = files.map(f => f.name).join(', ');
+  collapseLabel.style.display = files.length > 1 ? '' : 'none';
   uploadBox.style.display = 'none';
   fileInfo.style.display = 'block';
   hideError();
+  updateEstimate();
+}
+
+// The chosen PDFs and extraction settings, as /extract, /jobs and /estimate
+// take them.
+function uploadForm() {
+  const formData = new FormData();
+  currentFiles.forEach(f => formData.append('pdf', f));
+  formData.append('mode', modeSelect.value);
+  formData.append('ocr', ocrSelect.value);
+  formData.append('refresh', String(refreshCheck.checked));
+  formData.append('collapse', String(collapseCheck.checked));
+  formData.append('include', includedTypes().join(','));
+  return formData;
+}
+
+function formatCost(cost) {
+  if (cost === null || cost === undefined) return '';
+  return `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+// Asks the server what extracting with the current settings would take. The
+// estimate is only a hint, so a failure just leaves it out.
+async function updateEstimate() {
+  const request = ++estimateRequest;
+  costEstimate.textContent = '';
+  costEstimate.classList.remove('over-quota');
+  if (!currentFiles.length) return;
+  if (modeSelect.value === 'rules') {
+    costEstimate.textContent = 'The rules mode makes no LLM requests.';
+    return;
+  }
+  try {
+    const estimate = await readJson(await fetch(apiUrl('/estimate'), { method: 'POST', body: uploadForm() }));
+    if (request !== estimateRequest) return;
+    const { total, quota } = estimate;
+    if (estimate.documents.every(d => d.cached)) {
+      costEstimate.textContent = 'Cached result: no LLM requests needed.';
+      return;
+    }
+    const cost = formatCost(total.cost);
+    let text = `Estimate: ${total.totalPages} page${total.totalPages === 1 ? '' : 's'}, about ${total.totalTokens.toLocaleString()} LLM tokens in ${total.requests} request${total.requests === 1 ? '' : 's'}${cost ? `, ${cost}` : ''}.`;
+    if (total.ocrPages) text += ` ${total.ocrPages} page${total.ocrPages === 1 ? '' : 's'} need${total.ocrPages === 1 ? 's' : ''} OCR and ${total.ocrPages === 1 ? 'is' : 'are'} not counted.`;
+    if (quota.remaining !== null && total.cost > quota.remaining) {
+      text += ` That is more than the ${formatCost(quota.remaining)} left in your quota.`;
+      costEstimate.classList.add('over-quota');
+    }
+    costEstimate.textContent = text;
+  } catch {
+    if (request === estimateRequest) costEstimate.textContent = '';
+  }
+}
+
+[modeSelect, ocrSelect, refreshCheck, ...document.querySelectorAll('.include-type')]
+  .forEach(input => input.addEventListener('change', updateEstimate));
+
+// Routes of the server that served the page; a page opened from disk talks
+// to one on this machine.
+function apiUrl(path) {
+  const origin = window.location.protocol === 'file:' ? 'http://localhost:3000' : '';
+  return `${origin}${API_BASE}${path}`;
+}
+
+async function readJson(response) {
+  const ct = response.headers.get('content-type') || '';
+  if (!ct.includes('application/json')) throw new Error('Server did not return JSON. Is it running?');
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Failed to process PDF');
+  return data;
 }
 
 processBtn.addEventListener('click', async () => {
-  if (!currentFile) return;
+  if (!currentFiles.length) return;
   try {
-    showLoading('Processing your PDF... This may take a minute.');
+    showLoading(currentFiles.length > 1
+      ? `Processing ${currentFiles.length} PDFs... This may take a few minutes.`
+      : 'Processing your PDF... This may take a minute.');
     results.style.display = 'none';
     hideError();
+    extractedData = [];
+    extractionStats = null;
+    dependencyGraph = null;
+    resetFilters();
+    sessionName = null;
+    currentSessionId = null;
 
-    const formData = new FormData();
-    formData.append('pdf', currentFile);
-
-    const port = window.location.port || '3000';
-    const response = await fetch(`http://localhost:${port}/api/extract`, { method: 'POST', body: formData });
+    const response = await fetch(apiUrl('/jobs'), { method: 'POST', body: uploadForm() });
+    const { jobId } = await readJson(response);
 
-    const ct = response.headers.get('content-type') || '';
-    if (!ct.includes('application/json')) throw new Error('Server did not return JSON. Is it running?');
+    currentJobId = jobId;
+    cancelBtn.style.display = 'inline-block';
+    const job = await followJob(jobId);
 
-    const data = await response.json();
-    if (!response.ok) throw new Error(data.error || 'Failed to process PDF');
-
-    if (!data.content || !data.content.length) {
+    if (!job.items || !job.items.length) {
       throw new Error('No mathematical content found in the PDF.');
     }
 
-    extractedData = dedupeByNumberedTitle(data.content);
+    extractedData = dedupeByNumberedTitle(job.items, dedupeOptions());
+    extractionStats = job.stats;
+    dependencyGraph = job.graph || null;
 
-    await displayResults(extractedData);
+    await queueRender();
     hideLoading();
     results.style.display = 'block';
   } catch (err) {
     hideLoading();
     showError(err.message);
+  } finally {
+    currentJobId = null;
+    cancelBtn.style.display = 'none';
+  }
+});
+
+cancelBtn.addEventListener('click', async () => {
+  if (!currentJobId) return;
+  cancelBtn.disabled = true;
+  try {
+    await fetch(apiUrl(`/jobs/${currentJobId}`), { method: 'DELETE' });
+  } finally {
+    cancelBtn.disabled = false;
   }
 });
 
+// Streams a job's progress, showing items as they arrive. Resolves with the
+// finished job, rejects when it fails or is cancelled.
+function followJob(jobId) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(apiUrl(`/jobs/${jobId}/events`));
+    const stop = () => source.close();
+
+    source.addEventListener('snapshot', e => {
+      const job = JSON.parse(e.data);
+      extractedData = dedupeByNumberedTitle(job.items || [], dedupeOptions());
+      showProgress(job.progress, job.items.length);
+    });
+    source.addEventListener('progress', e => {
+      const update = JSON.parse(e.data);
+      extractedData = dedupeByNumberedTitle(extractedData.concat(update.items), dedupeOptions());
+      showProgress(update, update.itemsSoFar);
+    });
+    source.addEventListener('done', e => { stop(); resolve(JSON.parse(e.data)); });
+    source.addEventListener('failed', e => { stop(); reject(new Error(JSON.parse(e.data).error || 'Failed to process PDF')); });
+    source.addEventListener('cancelled', () => { stop(); reject(new Error('Extraction cancelled.')); });
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) reject(new Error('Lost connection to the server.'));
+    };
+  });
+}
+
+function includedTypes() {
+  return [...document.querySelectorAll('.include-type:checked')].map(box => box.value);
+}
+
+function showProgress({ chunk, totalChunks, file, totalFiles, fileName, stage }, itemsSoFar) {
+  if (!totalChunks) return;
+  const where = totalFiles > 1 ? `File ${file}/${totalFiles} (${fileName}): ` : '';
+  progressText.textContent = stage === 'ocr'
+    ? `${where}OCR page ${chunk}/${totalChunks} done`
+    : `${where}Chunk ${chunk}/${totalChunks} done, ${itemsSoFar} items so far`;
+  if (extractedData.length) {
+    results.style.display = 'block';
+    queueRender();
+  }
+}
+
+function queueRender() {
+  renderQueue = renderQueue.then(() => displayResults(extractedData));
+  scheduleAutosave();
+  scheduleGraphRefresh();
+  return renderQueue;
+}
+
+// Re-renders after a search, filter or sort change, which leaves the items as they are.
+function refreshView() {
+  renderQueue = renderQueue.then(() => displayResults(extractedData));
+  return renderQueue;
+}
+
 /* ---------- De-dup helpers (mirror server) ---------- */
 
 function normalizeNumberedTitle(title = '', fallbackType = '') {
@@ -93,10 +287,29 @@ function normalizeNumberedTitle(title = '', fallbackType = '') {
   return norm || (fallbackType ? String(fallbackType).toLowerCase().trim() : '');
 }
 
-function dedupeByNumberedTitle(items) {
+function dedupeOptions() {
+  return { collapseSources: collapseCheck.checked };
+}
+
+function collapseSpaces(text) {
+  return String(text || '').split('\n').map(l => l.replace(/[ \t]+/g, ' ').trim()).filter(Boolean).join('\n');
+}
+
+// Items without a number are only the same when page and text match.
+function statementKey(it) {
+  const title = normalizeNumberedTitle(it.title, it.type);
+  if (/\d/.test(title)) return title;
+  return `${title}\n${it.page == null ? '' : it.page}\n${collapseSpaces(it.content).toLowerCase()}`;
+}
+
+function dedupeKey(it) {
+  return `${it.source || ''}\n${statementKey(it)}`;
+}
+
+function dedupeByNumberedTitle(items, { collapseSources = false } = {}) {
   const best = new Map();
   for (const it of items) {
-    const key = normalizeNumberedTitle(it.title, it.type);
+    const key = dedupeKey(it);
     const existing = best.get(key);
     if (!existing) {
       best.set(key, it);
@@ -106,53 +319,562 @@ function dedupeByNumberedTitle(items) {
       if (currLen > prevLen) best.set(key, it);
     }
   }
-  return Array.from(best.values());
+  const deduped = Array.from(best.values());
+  return collapseSources ? collapseAcrossSources(deduped) : deduped;
 }
 
-/* ---------- Rendering ---------- */
+function collapseAcrossSources(items) {
+  const first = new Map();
+  const out = [];
+  for (const it of items) {
+    const key = `${normalizeNumberedTitle(it.title, it.type)}\n${collapseSpaces(it.content).toLowerCase()}`;
+    const kept = first.get(key);
+    if (kept === undefined) {
+      first.set(key, out.length);
+      out.push(it);
+    } else if (it.source && it.source !== out[kept].source) {
+      const alsoIn = out[kept].alsoIn || [];
+      if (!alsoIn.includes(it.source)) out[kept] = { ...out[kept], alsoIn: alsoIn.concat(it.source) };
+    }
+  }
+  return out;
+}
+
+/* ---------- Rendering & editing ---------- */
+
+const ITEM_TYPES = ['definition', 'theorem', 'lemma', 'proposition', 'corollary', 'axiom'];
+let dragIndex = null;
 
 async function displayResults(content) {
+  if (window.MathJax && window.MathJax.typesetClear) window.MathJax.typesetClear([extractedContent]);
   extractedContent.innerHTML = '';
+  itemCards.clear();
+  renderTypeFilters(content);
+  const shown = visibleItems(content);
+  const filtered = shown.length !== content.length || sortSelect.value !== 'document';
+  extractedContent.classList.toggle('view-filtered', filtered);
 
   const summaryDiv = document.createElement('div');
   summaryDiv.style.cssText = 'background:#f0f4ff;padding:15px;border-radius:8px;margin-bottom:20px;';
   summaryDiv.innerHTML = `<strong>Found ${content.length} mathematical items</strong>`;
+  if (shown.length !== content.length) {
+    summaryDiv.innerHTML += ` <span style="color:#718096;">(showing ${shown.length})</span>`;
+  }
+  if (extractionStats && extractionStats.cached) {
+    summaryDiv.innerHTML += ` <span style="color:#718096;">(cached result from ${new Date(extractionStats.cachedAt).toLocaleString()})</span>`;
+  }
+  const usage = extractionStats && extractionStats.usage;
+  if (usage && usage.requests) {
+    const note = document.createElement('div');
+    note.className = 'usage-note';
+    const cost = formatCost(usage.cost);
+    note.textContent = `LLM use: ${usage.totalTokens.toLocaleString()} tokens in ${usage.requests} request${usage.requests === 1 ? '' : 's'}${cost ? `, ${cost}` : ''}${usage.estimated ? ' (estimated)' : ''}.`;
+    summaryDiv.appendChild(note);
+  }
+  const ocrPages = ocrReport();
+  if (ocrPages.size) {
+    const low = [...ocrPages.values()].filter(p => p.lowConfidence);
+    const note = document.createElement('div');
+    note.style.cssText = 'margin-top:6px;color:#4a5568;font-size:0.9rem;';
+    note.textContent = `OCR read ${ocrPages.size} page${ocrPages.size === 1 ? '' : 's'}.`;
+    if (low.length) {
+      note.textContent += ` Low confidence on ${low.map(p => `${p.source ? `${p.source} ` : ''}p. ${p.page} (${p.confidence}%)`).join(', ')}; check the items from these pages.`;
+      note.classList.add('ocr-warning');
+    }
+    summaryDiv.appendChild(note);
+  }
+  for (const doc of ocrWarningReport()) {
+    const note = document.createElement('div');
+    note.className = 'ocr-warning';
+    note.style.cssText = 'margin-top:6px;font-size:0.9rem;';
+    const where = extractionStats.documents && extractionStats.documents.length > 1 ? `${doc.fileName}: ` : '';
+    note.textContent = `${where}${doc.ocrWarning} Statements on these pages may be missing.`;
+    summaryDiv.appendChild(note);
+  }
+  for (const doc of failedChunkReport()) {
+    const note = document.createElement('div');
+    note.className = 'chunk-warning';
+    const failed = doc.failedChunks.filter(c => c.status === 'failed');
+    const partial = doc.failedChunks.filter(c => c.status !== 'failed');
+    const parts = [];
+    if (failed.length) parts.push(`chunk${failed.length === 1 ? '' : 's'} ${failed.map(describeChunk).join(', ')} failed`);
+    if (partial.length) parts.push(`chunk${partial.length === 1 ? '' : 's'} ${partial.map(describeChunk).join(', ')} lost items`);
+    const text = parts.join('; ');
+    const where = extractionStats.documents && extractionStats.documents.length > 1 ? `${doc.fileName}: ` : '';
+    note.textContent = `${where}${text.charAt(0).toUpperCase()}${text.slice(1)}. Statements from these pages may be missing.`;
+    note.title = doc.failedChunks.flatMap(c => c.errors.map(e => `Chunk ${c.chunk}: ${e}`)).join('\n');
+    if (doc.cacheKey && doc.mode === 'llm') {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-secondary rerun-btn';
+      btn.textContent = 'Re-run these chunks';
+      btn.addEventListener('click', () => rerunFailedChunks(doc));
+      note.appendChild(btn);
+    } else {
+      note.textContent += ' Extract again to retry them.';
+    }
+    summaryDiv.appendChild(note);
+  }
+  const unfaithful = content.filter(it => [it, ...(it.children || [])].some(hasLowFidelity)).length;
+  if (unfaithful) {
+    const note = document.createElement('div');
+    note.className = 'fidelity-warning';
+    note.textContent = `${unfaithful} item${unfaithful === 1 ? ' does' : 's do'} not match the PDF text; check the ones marked in orange.`;
+    summaryDiv.appendChild(note);
+  }
+  const invalid = content.filter(it => [it, ...(it.children || [])].some(hasLatexErrors)).length;
+  if (invalid) {
+    const note = document.createElement('div');
+    note.className = 'latex-warning';
+    note.textContent = `${invalid} item${invalid === 1 ? ' has' : 's have'} LaTeX that does not parse; they are outlined in red.`;
+    summaryDiv.appendChild(note);
+  }
   extractedContent.appendChild(summaryDiv);
 
-  content.forEach((item, idx) => {
-    const itemDiv = document.createElement('div');
-    itemDiv.className = `content-item ${String(item.type || '').toLowerCase()}`;
+  const grouped = new Set(content.map(it => it.source)).size > 1;
+  shown.forEach((item, idx) => {
+    if (grouped && (idx === 0 || item.source !== shown[idx - 1].source)) {
+      const heading = document.createElement('h3');
+      heading.className = 'source-heading';
+      heading.textContent = item.source || 'Added items';
+      extractedContent.appendChild(heading);
+    }
+    extractedContent.appendChild(buildItemEditor(item, content.indexOf(item)));
+  });
+  renderToc(shown, grouped);
 
-    const typeSpan = document.createElement('span');
-    typeSpan.className = `content-type ${String(item.type || '').toLowerCase()}`;
-    typeSpan.textContent = item.type || 'Item';
+  const addBtn = document.createElement('button');
+  addBtn.className = 'btn btn-secondary add-item-btn';
+  addBtn.textContent = '+ Add item';
+  addBtn.addEventListener('click', addItem);
+  extractedContent.appendChild(addBtn);
 
-    const titleDiv = document.createElement('div');
-    titleDiv.className = 'content-title';
-    titleDiv.textContent = item.title || `${item.type || 'Item'} ${idx + 1}`;
+  renderGraph();
+  await renderMathJax();
+}
 
-    const contentDiv = document.createElement('div');
-    contentDiv.className = 'content-text';
-    contentDiv.style.whiteSpace = 'pre-wrap';
-    contentDiv.textContent = item.content || '';
+// One card per item. Edits write straight into the item object, so the
+// exports always see the current state of extractedData.
+function buildItemEditor(item, idx) {
+  const type = String(item.type || '').toLowerCase();
+  const itemDiv = document.createElement('div');
+  itemDiv.className = `content-item ${type}`;
+  itemDiv.dataset.id = item.id || '';
 
-    itemDiv.appendChild(typeSpan);
-    itemDiv.appendChild(titleDiv);
-    itemDiv.appendChild(contentDiv);
-    extractedContent.appendChild(itemDiv);
+  const toolbar = document.createElement('div');
+  toolbar.className = 'item-toolbar';
+
+  const handle = document.createElement('span');
+  handle.className = 'drag-handle';
+  handle.title = 'Drag to reorder';
+  handle.textContent = '⋮⋮';
+  handle.draggable = true;
+
+  const typeSelect = document.createElement('select');
+  typeSelect.className = `content-type ${type}`;
+  const types = ITEM_TYPES.includes(type) || !type ? ITEM_TYPES : ITEM_TYPES.concat(type);
+  for (const t of types) typeSelect.add(new Option(t, t, false, t === type));
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'item-delete';
+  deleteBtn.title = 'Delete item';
+  deleteBtn.textContent = '✕';
+
+  const titleInput = document.createElement('input');
+  titleInput.type = 'text';
+  titleInput.className = 'content-title item-title-input';
+  titleInput.placeholder = `${item.type || 'Item'} ${idx + 1}`;
+  titleInput.value = item.title || '';
+
+  const latexInput = document.createElement('textarea');
+  latexInput.className = 'item-latex';
+  latexInput.spellcheck = false;
+  latexInput.value = item.content || '';
+  latexInput.rows = Math.min(12, Math.max(3, latexInput.value.split('\n').length + 1));
+
+  const preview = document.createElement('div');
+  preview.className = 'content-text';
+  preview.style.whiteSpace = 'pre-wrap';
+  preview.textContent = item.content || '';
+
+  typeSelect.addEventListener('change', () => {
+    item.type = typeSelect.value;
+    itemDiv.className = `content-item ${item.type}`;
+    typeSelect.className = `content-type ${item.type}`;
   });
+  titleInput.addEventListener('input', () => { item.title = titleInput.value; });
 
-  await renderMathJax();
+  const latexReport = document.createElement('div');
+  latexReport.className = 'item-latex-report';
+  itemDiv.classList.toggle('latex-invalid', renderLatexReport(latexReport, item));
+  const fidelityReport = document.createElement('div');
+  fidelityReport.className = 'item-fidelity-report';
+  itemDiv.classList.toggle('low-fidelity', renderFidelityReport(fidelityReport, item));
+
+  let previewTimer = null;
+  latexInput.addEventListener('input', () => {
+    item.content = latexInput.value;
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(() => {
+      updatePreview(preview, item.content);
+      recheckLatex(item, latexReport, itemDiv);
+      renderFidelityReport(fidelityReport, item);
+    }, 300);
+  });
+
+  deleteBtn.addEventListener('click', () => {
+    extractedData.splice(extractedData.indexOf(item), 1);
+    queueRender();
+  });
+
+  handle.addEventListener('dragstart', e => {
+    dragIndex = extractedData.indexOf(item);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setDragImage(itemDiv, 20, 20);
+  });
+  handle.addEventListener('dragend', () => { dragIndex = null; });
+  itemDiv.addEventListener('dragover', e => {
+    if (dragIndex === null) return;
+    e.preventDefault();
+    itemDiv.classList.add('drag-over');
+  });
+  itemDiv.addEventListener('dragleave', () => itemDiv.classList.remove('drag-over'));
+  itemDiv.addEventListener('drop', e => {
+    e.preventDefault();
+    itemDiv.classList.remove('drag-over');
+    moveItem(dragIndex, extractedData.indexOf(item));
+  });
+
+  toolbar.appendChild(handle);
+  toolbar.appendChild(typeSelect);
+  toolbar.appendChild(deleteBtn);
+  itemDiv.appendChild(toolbar);
+  itemDiv.appendChild(titleInput);
+  const ocrPage = ocrReport().get(`${item.source || ''}#${item.page}`);
+  if (ocrPage && ocrPage.lowConfidence) {
+    const warning = document.createElement('div');
+    warning.className = 'item-warning';
+    warning.textContent = `Page ${item.page} was read by OCR with ${ocrPage.confidence}% confidence. Check it against the PDF.`;
+    itemDiv.appendChild(warning);
+  }
+  if (item.alsoIn && item.alsoIn.length) {
+    const alsoIn = document.createElement('div');
+    alsoIn.className = 'item-also-in';
+    alsoIn.textContent = `Also in: ${item.alsoIn.join(', ')}`;
+    itemDiv.appendChild(alsoIn);
+  }
+  itemDiv.appendChild(fidelityReport);
+  itemDiv.appendChild(latexReport);
+  itemDiv.appendChild(latexInput);
+  itemDiv.appendChild(preview);
+  const crossLinks = document.createElement('div');
+  crossLinks.className = 'item-links';
+  renderCrossLinks(crossLinks, item);
+  itemDiv.appendChild(crossLinks);
+  itemCards.set(item, { card: itemDiv, links: crossLinks });
+  if (item.children && item.children.length) {
+    const linked = document.createElement('div');
+    linked.className = 'item-children';
+    item.children.forEach(child => linked.appendChild(buildChildEditor(item, child)));
+    itemDiv.appendChild(linked);
+  }
+  return itemDiv;
+}
+
+// Linked proofs, examples, ... fold away under their statement.
+function buildChildEditor(item, child) {
+  const details = document.createElement('details');
+  details.className = `item-child ${String(child.type || '').toLowerCase()}`;
+
+  const summary = document.createElement('summary');
+  summary.textContent = child.title || child.type || 'Linked item';
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'item-delete';
+  deleteBtn.title = 'Delete linked item';
+  deleteBtn.textContent = '✕';
+  summary.appendChild(deleteBtn);
+
+  const latexInput = document.createElement('textarea');
+  latexInput.className = 'item-latex';
+  latexInput.spellcheck = false;
+  latexInput.value = child.content || '';
+  latexInput.rows = Math.min(10, Math.max(2, latexInput.value.split('\n').length + 1));
+
+  const preview = document.createElement('div');
+  preview.className = 'content-text';
+  preview.style.whiteSpace = 'pre-wrap';
+  preview.textContent = child.content || '';
+
+  const latexReport = document.createElement('div');
+  latexReport.className = 'item-latex-report';
+  details.classList.toggle('latex-invalid', renderLatexReport(latexReport, child));
+  const fidelityReport = document.createElement('div');
+  fidelityReport.className = 'item-fidelity-report';
+  details.classList.toggle('low-fidelity', renderFidelityReport(fidelityReport, child));
+
+  let previewTimer = null;
+  latexInput.addEventListener('input', () => {
+    child.content = latexInput.value;
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(() => {
+      updatePreview(preview, child.content);
+      recheckLatex(child, latexReport, details);
+      renderFidelityReport(fidelityReport, child);
+    }, 300);
+  });
+  deleteBtn.addEventListener('click', e => {
+    e.preventDefault();
+    item.children.splice(item.children.indexOf(child), 1);
+    queueRender();
+  });
+
+  details.appendChild(summary);
+  details.appendChild(fidelityReport);
+  details.appendChild(latexReport);
+  details.appendChild(latexInput);
+  details.appendChild(preview);
+  return details;
+}
+
+function hasLatexErrors(target) {
+  return Boolean(target.latex && target.latex.errors && target.latex.errors.length);
+}
+
+// Lists what the server's LaTeX check repaired and what still fails to parse.
+// Returns whether anything fails.
+function renderLatexReport(report, target) {
+  const { repairs = [], errors = [] } = target.latex || {};
+  report.innerHTML = '';
+  report.hidden = !repairs.length && !errors.length;
+  for (const err of errors) {
+    const line = document.createElement('div');
+    line.className = 'latex-error';
+    line.textContent = `${err.message}: ${err.tex}`;
+    report.appendChild(line);
+  }
+  if (repairs.length) {
+    const line = document.createElement('div');
+    line.className = 'latex-repairs';
+    line.textContent = `Auto-repaired: ${repairs.join('; ')}.`;
+    report.appendChild(line);
+  }
+  return errors.length > 0;
+}
+
+// Checks edited content again without repairing it, so the report follows
+// what is typed rather than rewriting it.
+async function recheckLatex(target, report, card) {
+  const content = target.content;
+  try {
+    const response = await fetch(apiUrl('/latex/check'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items: [{ content }], repair: false })
+    });
+    if (!response.ok) return;
+    const [checked] = (await response.json()).items;
+    if (target.content !== content) return;
+    if (checked.latex) target.latex = checked.latex;
+    else delete target.latex;
+    card.classList.toggle('latex-invalid', renderLatexReport(report, target));
+  } catch (err) {
+    console.error('LaTeX check failed:', err);
+  }
+}
+
+function hasLowFidelity(target) {
+  return Boolean(target.fidelity && target.fidelity.low);
+}
+
+// Flags content that the server could not match to the PDF text, with a
+// word diff against the text it matched best. Returns whether it flagged.
+function renderFidelityReport(report, target) {
+  report.innerHTML = '';
+  report.hidden = !hasLowFidelity(target);
+  if (report.hidden) return false;
+  const { score, page, source } = target.fidelity;
+  const line = document.createElement('div');
+  line.textContent = source
+    ? `Only ${Math.round(score * 100)}% of this matched the PDF text${page ? ` on p. ${page}` : ''} when it was extracted. Check it against the original.`
+    : 'This was not found in the PDF text; the model may have made it up.';
+  report.appendChild(line);
+  if (source) {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = 'Compare with the PDF';
+    const diff = document.createElement('div');
+    diff.className = 'fidelity-diff';
+    for (const part of diffWords(source, target.content || '')) {
+      const span = document.createElement(part.kind === 'same' ? 'span' : part.kind);
+      span.textContent = `${part.text} `;
+      diff.appendChild(span);
+    }
+    details.appendChild(summary);
+    details.appendChild(diff);
+    report.appendChild(details);
+  }
+  return true;
+}
+
+// Words compare by their letters and digits, so `$G$` matches "G" and
+// punctuation is ignored.
+function wordKey(word) {
+  return word.toLowerCase().replace(/\\[a-z]+/g, '').replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Word diff of `after` against `before`: runs of `same`, `del` (only in
+// before) and `ins` (only in after) words.
+function diffWords(before, after) {
+  const a = before.split(/\s+/).filter(Boolean);
+  const b = after.split(/\s+/).filter(Boolean);
+  const ka = a.map(wordKey);
+  const kb = b.map(wordKey);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = ka[i] === kb[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const parts = [];
+  const push = (kind, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.kind === kind) last.text += ` ${text}`;
+    else parts.push({ kind, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && ka[i] === kb[j]) {
+      push('same', b[j]);
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] > lcs[i + 1][j])) {
+      push('ins', b[j++]);
+    } else {
+      push('del', a[i++]);
+    }
+  }
+  return parts;
+}
+
+// Pages that went through OCR, keyed by "<source>#<page>" like the items.
+function ocrReport() {
+  const report = new Map();
+  if (!extractionStats) return report;
+  const documents = extractionStats.documents || [extractionStats];
+  for (const doc of documents) {
+    const source = extractionStats.documents ? doc.fileName : '';
+    for (const p of doc.ocrPages || []) report.set(`${source || ''}#${p.page}`, { ...p, source });
+  }
+  return report;
+}
+
+// Documents whose scanned pages OCR could not read.
+function ocrWarningReport() {
+  if (!extractionStats) return [];
+  return (extractionStats.documents || [extractionStats]).filter(doc => doc.ocrWarning);
+}
+
+// Documents whose extraction had chunks fail or lose items, with the stats
+// that list them.
+function failedChunkReport() {
+  if (!extractionStats) return [];
+  const documents = extractionStats.documents || [extractionStats];
+  return documents.filter(doc => doc.failedChunks && doc.failedChunks.length);
+}
+
+function describeChunk(failure) {
+  const [from, to] = failure.pageRange || [];
+  const pages = from == null ? '' : from === to ? ` (p. ${from})` : ` (pp. ${from}–${to})`;
+  return `${failure.chunk}${pages}`;
 }
 
-async function renderMathJax() {
+async function rerunFailedChunks(doc) {
+  try {
+    showLoading('Re-running the failed chunks...');
+    const response = await fetch(apiUrl('/extract/rerun'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ cacheKey: doc.cacheKey })
+    });
+    const data = await readJson(response);
+    const source = doc.fileName || (extractedData[0] && extractedData[0].source);
+    insertItems(data.content.map(it => (source ? { ...it, source } : it)));
+
+    const documents = (extractionStats.documents || [extractionStats])
+      .map(d => (d.cacheKey === doc.cacheKey ? { fileName: d.fileName, ...data.stats } : d));
+    extractionStats = extractionStats.documents
+      ? { ...extractionStats, ...(documents.length === 1 ? documents[0] : {}), documents }
+      : documents[0];
+    hideLoading();
+    await queueRender();
+  } catch (err) {
+    hideLoading();
+    showError(`Failed to re-run chunks: ${err.message}`);
+  }
+}
+
+// Adds the items a re-run found that are not on the page yet, before the
+// first item of their document from a later page. Items already there keep
+// their edits.
+function insertItems(items) {
+  const have = new Set(extractedData.map(dedupeKey));
+  for (const item of items) {
+    const key = dedupeKey(item);
+    if (have.has(key)) continue;
+    have.add(key);
+    const later = extractedData.findIndex(it => it.source === item.source && it.page != null && item.page != null && it.page > item.page);
+    let at = later;
+    if (at === -1) {
+      at = extractedData.length;
+      extractedData.forEach((it, i) => { if (it.source === item.source) at = i + 1; });
+    }
+    extractedData.splice(at, 0, item);
+  }
+}
+
+function moveItem(from, to) {
+  if (from === null || from === to || from < 0 || to < 0) return;
+  const [item] = extractedData.splice(from, 1);
+  extractedData.splice(to, 0, item);
+  queueRender();
+}
+
+async function addItem() {
+  const last = extractedData[extractedData.length - 1];
+  extractedData.push({
+    id: `item-${Date.now().toString(36)}`,
+    type: 'definition',
+    title: '',
+    content: '',
+    page: null,
+    ...(last && last.source ? { source: last.source } : {})
+  });
+  // A filtered view might hide the new item.
+  resetFilters();
+  await queueRender();
+  const { card } = itemCards.get(extractedData[extractedData.length - 1]);
+  card.scrollIntoView({ block: 'center' });
+  card.querySelector('.item-title-input').focus();
+}
+
+function updatePreview(preview, text) {
+  renderQueue = renderQueue.then(async () => {
+    if (window.MathJax && window.MathJax.typesetClear) window.MathJax.typesetClear([preview]);
+    preview.textContent = text;
+    await renderMathJax(preview);
+  });
+  return renderQueue;
+}
+
+async function renderMathJax(target = extractedContent) {
   if (!window.MathJax) return;
   try {
     if (window.MathJax.typesetPromise) {
-      await window.MathJax.typesetPromise([extractedContent]);
+      await window.MathJax.typesetPromise([target]);
     } else if (window.MathJax.Hub) {
       await new Promise(res => {
-        window.MathJax.Hub.Queue(['Typeset', window.MathJax.Hub, extractedContent]);
+        window.MathJax.Hub.Queue(['Typeset', window.MathJax.Hub, target]);
         window.MathJax.Hub.Queue(res);
       });
     }
@@ -161,23 +883,616 @@ async function renderMathJax() {
   }
 }
 
-downloadBtn.addEventListener('click', async () => {
+/* ---------- PDF layout ---------- */
+
+// The dialog's fields as generator options, leaving out the empty ones so
+// the theme and the generator's defaults apply.
+function pdfLayoutOptions() {
+  const form = exportForm.elements;
+  const options = {
+    theme: form.theme.value,
+    pdfFormat: form.pdfFormat.value,
+    pdfOrientation: form.pdfOrientation.value,
+    columns: Number(form.columns.value),
+    tableOfContents: form.tableOfContents.checked,
+    termIndex: form.termIndex.checked,
+    pageNumbers: form.pageNumbers.checked
+  };
+  if (form.bodyFont.value) options.bodyFont = form.bodyFont.value;
+  if (form.headingFont.value) options.headingFont = form.headingFont.value;
+  const margin = Number(form.pageMarginPt.value);
+  if (margin > 0) options.pageMarginPt = margin;
+  if (form.header.value.trim()) options.header = form.header.value.trim();
+  if (form.coverTitle.value.trim()) {
+    options.cover = {
+      title: form.coverTitle.value.trim(),
+      subtitle: form.coverSubtitle.value.trim(),
+      author: form.coverAuthor.value.trim()
+    };
+  }
+  return options;
+}
+
+function saveDialogFields() {
+  const values = {};
+  for (const field of exportForm.elements) {
+    if (!field.name) continue;
+    values[field.name] = field.type === 'checkbox' ? field.checked : field.value;
+  }
+  try {
+    localStorage.setItem(PDF_LAYOUT_KEY, JSON.stringify(values));
+  } catch (e) {
+    console.error('Could not save the PDF layout', e);
+  }
+}
+
+function restoreDialogFields() {
+  try {
+    const values = JSON.parse(localStorage.getItem(PDF_LAYOUT_KEY)) || {};
+    for (const field of exportForm.elements) {
+      if (!field.name || !(field.name in values)) continue;
+      if (field.type === 'checkbox') field.checked = Boolean(values[field.name]);
+      else field.value = values[field.name];
+    }
+  } catch (e) {
+    console.error('Could not restore the PDF layout', e);
+  }
+}
+
+async function downloadPdf() {
   try {
     showLoading('Rendering LaTeX and building the PDF...');
-    const gen = new LatexPDFGenerator();
-    await gen.generatePDF(extractedData);
+    const gen = new LatexPDFGenerator({
+      ...pdfLayoutOptions(),
+      exportMode: exportModeSelect.value,
+      includeLinked: includeLinkedCheck.checked,
+      graph: { nodes: dependencyGraph ? dependencyGraph.nodes : [], edges: currentEdges() }
+    });
+    // The PDF holds what the toolbar shows, in the order it shows it.
+    await gen.generatePDF(visibleItems(extractedData));
     hideLoading();
   } catch (e) {
     hideLoading();
-    showError('Failed to generate PDF.');
+    showError(`Failed to generate PDF: ${e.message}`);
+  }
+}
+
+// Browsers without <dialog> support show it inline instead.
+function closeExportDialog() {
+  if (typeof exportDialog.close === 'function') exportDialog.close();
+  else exportDialog.removeAttribute('open');
+}
+
+downloadBtn.addEventListener('click', () => {
+  if (typeof exportDialog.showModal === 'function') exportDialog.showModal();
+  else exportDialog.setAttribute('open', '');
+});
+
+exportCancelBtn.addEventListener('click', closeExportDialog);
+
+exportForm.addEventListener('submit', e => {
+  e.preventDefault();
+  saveDialogFields();
+  closeExportDialog();
+  downloadPdf();
+});
+
+restoreDialogFields();
+
+downloadTexBtn.addEventListener('click', async () => {
+  try {
+    const filename = `${baseName(sourceFileName || 'extracted')}.tex`;
+    const response = await fetch(apiUrl('/export/tex'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items: extractedData, options: { filename, includeLinked: includeLinkedCheck.checked } })
+    });
+    if (!response.ok) await readJson(response);
+    downloadBlob(await response.blob(), filename);
+  } catch (e) {
+    showError(`Failed to export LaTeX: ${e.message}`);
+  }
+});
+
+downloadAnkiBtn.addEventListener('click', async () => {
+  try {
+    const format = ankiFormatSelect.value;
+    const base = baseName(sourceFileName || 'extracted');
+    const filename = `${base}.${format === 'tsv' ? 'txt' : format}`;
+    const types = [...document.querySelectorAll('.anki-type:checked')].map(box => box.value);
+    if (!types.length) return showError('Pick at least one item type for the flashcards.');
+    const response = await fetch(apiUrl('/export/anki'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        items: extractedData,
+        options: { format, types, filename, deckName: deckNameInput.value.trim() || base }
+      })
+    });
+    if (!response.ok) await readJson(response);
+    downloadBlob(await response.blob(), filename);
+  } catch (e) {
+    showError(`Failed to export flashcards: ${e.message}`);
+  }
+});
+
+/* ---------- Search, filters and contents ---------- */
+
+// "Theorem 2.3.1 (Name)" -> [2, 3, 1]; null when the title has no number.
+function titleNumber(title) {
+  const m = String(title || '').match(/^\s*[A-Za-z.]+\s+(\d+(?:\.\d+)*)/) || String(title || '').match(/(\d+(?:\.\d+)*)/);
+  return m ? m[1].split('.').map(Number) : null;
+}
+
+function compareNumbers(a, b) {
+  if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] === undefined ? -1 : a[i]) - (b[i] === undefined ? -1 : b[i]);
+    if (diff) return diff;
   }
+  return 0;
+}
+
+function matchesSearch(item, words) {
+  if (!words.length) return true;
+  const text = [item.title, item.content, ...(item.children || []).flatMap(c => [c.title, c.content])]
+    .filter(Boolean).join('\n').toLowerCase();
+  return words.every(word => text.includes(word));
+}
+
+// The items the toolbar lets through, sorted within each document so that
+// documents keep their upload order.
+function visibleItems(items) {
+  const words = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+  const shown = items.filter(it => !hiddenTypes.has(String(it.type || '').toLowerCase()) && matchesSearch(it, words));
+  const sort = sortSelect.value;
+  if (sort === 'document') return shown;
+
+  const sources = [...new Set(items.map(it => it.source))];
+  const order = new Map(items.map((it, i) => [it, i]));
+  return shown.slice().sort((a, b) =>
+    sources.indexOf(a.source) - sources.indexOf(b.source)
+    || (sort === 'page'
+      ? (a.page == null) - (b.page == null) || (a.page || 0) - (b.page || 0)
+      : compareNumbers(titleNumber(a.title), titleNumber(b.title)))
+    || order.get(a) - order.get(b));
+}
+
+function resetFilters() {
+  searchInput.value = '';
+  hiddenTypes.clear();
+}
+
+// One checkbox per type present, with how many items of that type match the search.
+function renderTypeFilters(items) {
+  const words = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+  const counts = new Map();
+  for (const it of items) {
+    const type = String(it.type || '').toLowerCase() || 'item';
+    counts.set(type, (counts.get(type) || 0) + (matchesSearch(it, words) ? 1 : 0));
+  }
+  const types = ITEM_TYPES.filter(t => counts.has(t)).concat([...counts.keys()].filter(t => !ITEM_TYPES.includes(t)).sort());
+
+  typeFilters.innerHTML = '';
+  for (const type of types) {
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = !hiddenTypes.has(type);
+    box.addEventListener('change', () => {
+      if (box.checked) hiddenTypes.delete(type);
+      else hiddenTypes.add(type);
+      refreshView();
+    });
+    label.appendChild(box);
+    label.append(` ${type} (${counts.get(type)})`);
+    typeFilters.appendChild(label);
+  }
+}
+
+// "2.3" for Theorem 2.3.1, "2" for Theorem 2.3, null for Theorem 5.
+function sectionOf(item) {
+  const number = titleNumber(item.title);
+  return number && number.length > 1 ? number.slice(0, -1).join('.') : null;
+}
+
+// Contents of the cards on screen, by document and by the section number
+// in their titles.
+function renderToc(items, grouped) {
+  toc.innerHTML = '';
+  toc.hidden = !items.length;
+  let list = null;
+  let source;
+  let section;
+  items.forEach((item, idx) => {
+    if (grouped && (idx === 0 || item.source !== source)) {
+      const heading = document.createElement('div');
+      heading.className = 'toc-source';
+      heading.textContent = item.source || 'Added items';
+      toc.appendChild(heading);
+      section = undefined;
+    }
+    const itemSection = sectionOf(item);
+    if (!list || item.source !== source || itemSection !== section) {
+      const heading = document.createElement('div');
+      heading.className = 'toc-section';
+      heading.textContent = itemSection ? `Section ${itemSection}` : 'Other';
+      list = document.createElement('ul');
+      toc.appendChild(heading);
+      toc.appendChild(list);
+    }
+    source = item.source;
+    section = itemSection;
+
+    const entry = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = `toc-entry ${String(item.type || '').toLowerCase()}`;
+    link.textContent = itemLabel(item);
+    link.addEventListener('click', e => {
+      e.preventDefault();
+      const target = itemCards.get(item);
+      if (target) target.card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+    entry.appendChild(link);
+    list.appendChild(entry);
+  });
+}
+
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(refreshView, 250);
 });
+sortSelect.addEventListener('change', refreshView);
+
+/* ---------- Dependency graph ---------- */
+
+const GRAPH_NODE = { width: 170, height: 30, columnGap: 70, rowGap: 12, padding: 10 };
+
+// The server's edges between items that are still in the list, so deleted
+// items drop out before the graph is rebuilt.
+function currentEdges() {
+  if (!dependencyGraph) return [];
+  const ids = new Set(extractedData.map(it => it.id).filter(Boolean));
+  return dependencyGraph.edges.filter(e => ids.has(e.from) && ids.has(e.to));
+}
+
+function itemLabel(item) {
+  return (item && (item.title || item.type)) || 'Item';
+}
+
+// Rebuilds the graph a moment after the items stop changing. Not while a job
+// streams in: its result comes with a graph.
+function scheduleGraphRefresh() {
+  clearTimeout(graphTimer);
+  if (currentJobId) return;
+  graphTimer = setTimeout(refreshGraph, 1000);
+}
+
+async function refreshGraph() {
+  const items = extractedData;
+  if (!items.length) {
+    dependencyGraph = null;
+    return renderGraph();
+  }
+  try {
+    const response = await fetch(apiUrl('/graph'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items })
+    });
+    const data = await readJson(response);
+    if (items !== extractedData || data.items.length !== items.length) return;
+    data.items.forEach((it, i) => { if (!items[i].id) items[i].id = it.id; });
+    dependencyGraph = data.graph;
+    for (const [item, { card, links }] of itemCards) {
+      card.dataset.id = item.id;
+      renderCrossLinks(links, item);
+    }
+    renderGraph();
+  } catch (e) {
+    console.error('Could not build the dependency graph', e);
+  }
+}
+
+// "Uses: ..." and "Used by: ..." under a card, each entry jumping to its card.
+function renderCrossLinks(container, item) {
+  const edges = currentEdges();
+  const byId = new Map(extractedData.map(it => [it.id, it]));
+  const lists = [
+    ['Uses', edges.filter(e => e.from === item.id).map(e => e.to)],
+    ['Used by', edges.filter(e => e.to === item.id).map(e => e.from)]
+  ].filter(([, ids]) => ids.length);
+  container.innerHTML = '';
+  container.hidden = !lists.length;
+  for (const [label, ids] of lists) {
+    const line = document.createElement('div');
+    line.append(`${label}: `);
+    ids.forEach((id, k) => {
+      if (k) line.append(', ');
+      const link = document.createElement('a');
+      link.href = '#';
+      link.textContent = itemLabel(byId.get(id));
+      link.addEventListener('click', e => {
+        e.preventDefault();
+        showItem(id);
+      });
+      line.appendChild(link);
+    });
+    container.appendChild(line);
+  }
+}
+
+function showItem(id) {
+  const card = [...extractedContent.querySelectorAll('.content-item')].find(c => c.dataset.id === id);
+  if (!card) return;
+  card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  card.classList.add('item-highlight');
+  setTimeout(() => card.classList.remove('item-highlight'), 1500);
+}
+
+// Draws the items that take part in a dependency as an SVG, one column per
+// step: everything an item uses stands in a column to its left.
+function renderGraph() {
+  graphPanel.hidden = !dependencyGraph;
+  graphView.innerHTML = '';
+  if (!dependencyGraph || !graphPanel.open) return;
+
+  const edges = currentEdges();
+  if (!edges.length) {
+    graphView.textContent = 'No references between the items were found.';
+    return;
+  }
+  const linked = new Set(edges.flatMap(e => [e.from, e.to]));
+  const items = extractedData.filter(it => linked.has(it.id));
+  const uses = new Map(items.map(it => [it.id, []]));
+  for (const e of edges) uses.get(e.from).push(e.to);
+
+  const column = new Map();
+  const columnOf = (id, path = new Set()) => {
+    if (column.has(id)) return column.get(id);
+    if (path.has(id)) return 0;
+    path.add(id);
+    const col = uses.get(id).reduce((max, to) => Math.max(max, columnOf(to, path) + 1), 0);
+    path.delete(id);
+    column.set(id, col);
+    return col;
+  };
+  const columns = [];
+  for (const it of items) {
+    const col = columnOf(it.id);
+    (columns[col] = columns[col] || []).push(it);
+  }
+
+  const { width, height, columnGap, rowGap, padding } = GRAPH_NODE;
+  const position = new Map();
+  columns.forEach((list, col) => list.forEach((it, row) => {
+    position.set(it.id, { x: padding + col * (width + columnGap), y: padding + row * (height + rowGap) });
+  }));
+
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const make = (tag, attrs = {}) => {
+    const el = document.createElementNS(svgNs, tag);
+    for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+    return el;
+  };
+  const rows = Math.max(...columns.map(list => (list ? list.length : 0)));
+  const svg = make('svg', {
+    width: 2 * padding + columns.length * (width + columnGap) - columnGap,
+    height: 2 * padding + rows * (height + rowGap) - rowGap
+  });
+  const defs = make('defs');
+  const marker = make('marker', { id: 'graphArrow', viewBox: '0 0 10 10', refX: 10, refY: 5, markerWidth: 7, markerHeight: 7, orient: 'auto' });
+  marker.appendChild(make('path', { d: 'M0,0 L10,5 L0,10 z' }));
+  defs.appendChild(marker);
+  svg.appendChild(defs);
+
+  const edgeEls = edges.map(e => {
+    const from = position.get(e.to);
+    const to = position.get(e.from);
+    const x1 = from.x + width;
+    const y1 = from.y + height / 2;
+    const x2 = to.x;
+    const y2 = to.y + height / 2;
+    const bend = Math.max(30, (x2 - x1) / 2);
+    const path = make('path', {
+      class: `graph-edge ${e.kind}`,
+      d: `M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}`,
+      'marker-end': 'url(#graphArrow)'
+    });
+    const title = make('title');
+    title.textContent = e.kind === 'term' ? `uses the term "${e.label}"` : `cites ${e.label}`;
+    path.appendChild(title);
+    svg.appendChild(path);
+    return { edge: e, el: path };
+  });
+
+  const nodeEls = items.map(it => {
+    const { x, y } = position.get(it.id);
+    const node = make('g', { class: `graph-node ${String(it.type || '').toLowerCase()}`, transform: `translate(${x},${y})` });
+    node.appendChild(make('rect', { width, height, rx: 6 }));
+    const label = make('text', { x: 10, y: height / 2 + 4 });
+    const text = itemLabel(it);
+    label.textContent = text.length > 24 ? `${text.slice(0, 23)}…` : text;
+    const title = make('title');
+    title.textContent = text;
+    node.appendChild(label);
+    node.appendChild(title);
+    node.addEventListener('click', () => selectNode(it.id));
+    node.addEventListener('dblclick', () => showItem(it.id));
+    svg.appendChild(node);
+    return { id: it.id, el: node };
+  });
+
+  // Highlights a node with the items it uses and the items that use it.
+  let selected = null;
+  function selectNode(id) {
+    selected = selected === id ? null : id;
+    const near = new Set([selected]);
+    for (const { edge, el } of edgeEls) {
+      const active = selected !== null && (edge.from === selected || edge.to === selected);
+      if (active) near.add(edge.from).add(edge.to);
+      el.classList.toggle('active', active);
+      el.classList.toggle('dimmed', selected !== null && !active);
+    }
+    for (const { id: nodeId, el } of nodeEls) {
+      el.classList.toggle('selected', nodeId === selected);
+      el.classList.toggle('dimmed', selected !== null && !near.has(nodeId));
+    }
+  }
+
+  graphView.appendChild(svg);
+}
+
+graphPanel.addEventListener('toggle', renderGraph);
+
+/* ---------- Sessions ---------- */
+
+// Everything needed to reopen an extraction: where it came from, how it was
+// made and the items as currently edited.
+function currentSession() {
+  const stats = extractionStats || {};
+  return {
+    version: 1,
+    name: sessionName || sourceFileName || 'Untitled session',
+    fileName: sourceFileName,
+    fileHash: stats.fileHash || null,
+    settings: { mode: stats.mode || modeSelect.value, include: stats.include || includedTypes(), provider: stats.provider || null, model: stats.model || null },
+    stats: extractionStats,
+    items: extractedData
+  };
+}
+
+async function loadSession(session, { id = session && session.id } = {}) {
+  if (!session || !Array.isArray(session.items)) throw new Error('Not a Theorem2PDF project file.');
+  extractedData = session.items;
+  extractionStats = session.stats || null;
+  dependencyGraph = null;
+  resetFilters();
+  sourceFileName = session.fileName || null;
+  sessionName = session.name || null;
+  currentSessionId = id || null;
+  const mode = session.settings && session.settings.mode;
+  if ([...modeSelect.options].some(o => o.value === mode)) modeSelect.value = mode;
+  const include = (session.settings && session.settings.include) || [];
+  document.querySelectorAll('.include-type').forEach(box => { box.checked = include.includes(box.value); });
+  hideError();
+  results.style.display = 'block';
+  await queueRender();
+}
+
+function scheduleAutosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(() => {
+    try {
+      localStorage.setItem(AUTOSAVE_KEY, JSON.stringify({ ...currentSession(), id: currentSessionId }));
+    } catch (e) {
+      console.error('Autosave failed', e);
+    }
+  }, 500);
+}
+
+function restoreAutosave() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(AUTOSAVE_KEY));
+    if (saved && Array.isArray(saved.items) && saved.items.length) return loadSession(saved);
+  } catch (e) {
+    console.error('Could not restore the autosaved session', e);
+  }
+}
+
+async function refreshSessionList() {
+  try {
+    const { sessions } = await readJson(await fetch(apiUrl('/sessions')));
+    sessionSelect.length = 1;
+    for (const s of sessions) {
+      sessionSelect.add(new Option(`${s.name} (${s.totalItems} items, ${new Date(s.updatedAt).toLocaleString()})`, s.id));
+    }
+  } catch (e) {
+    console.error('Could not list sessions', e);
+  }
+}
+
+extractedContent.addEventListener('input', scheduleAutosave);
+extractedContent.addEventListener('input', scheduleGraphRefresh);
+extractedContent.addEventListener('change', scheduleAutosave);
+
+saveProjectBtn.addEventListener('click', () => {
+  const blob = new Blob([JSON.stringify(currentSession(), null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `${baseName(sourceFileName || 'extracted')}.project.json`);
+});
+
+openProjectBtn.addEventListener('click', () => projectInput.click());
+projectInput.addEventListener('change', async () => {
+  const file = projectInput.files[0];
+  projectInput.value = '';
+  if (!file) return;
+  try {
+    // A file may come from another server, so its id is not reused.
+    await loadSession(JSON.parse(await file.text()), { id: null });
+  } catch (e) {
+    showError(`Failed to open project: ${e.message}`);
+  }
+});
+
+openSessionBtn.addEventListener('click', async () => {
+  if (!sessionSelect.value) return;
+  try {
+    await loadSession(await readJson(await fetch(apiUrl(`/sessions/${sessionSelect.value}`))));
+  } catch (e) {
+    showError(`Failed to open session: ${e.message}`);
+  }
+});
+
+// Saves to the server so a teammate can open it; later shares update the
+// same session.
+shareSessionBtn.addEventListener('click', async () => {
+  if (!currentSessionId) {
+    const name = prompt('Name this session for your team:', sessionName || baseName(sourceFileName || 'Untitled session'));
+    if (name === null) return;
+    sessionName = name.trim() || null;
+  }
+  try {
+    const request = { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(currentSession()) };
+    let response = currentSessionId
+      ? await fetch(apiUrl(`/sessions/${currentSessionId}`), { method: 'PUT', ...request })
+      : null;
+    if (!response || response.status === 404) response = await fetch(apiUrl('/sessions'), { method: 'POST', ...request });
+    const session = await readJson(response);
+    currentSessionId = session.id;
+    scheduleAutosave();
+    shareSessionBtn.textContent = 'Shared ✓';
+    setTimeout(() => { shareSessionBtn.textContent = 'Share'; }, 2000);
+    await refreshSessionList();
+  } catch (e) {
+    showError(`Failed to share session: ${e.message}`);
+  }
+});
+
+function baseName(name) {
+  return String(name).replace(/\.pdf$/i, '');
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
 function showLoading(msg = 'Loading...') {
   loadingText.textContent = msg;
+  progressText.textContent = '';
   loading.style.display = 'block';
   fileInfo.style.display = 'none';
 }
 function hideLoading() { loading.style.display = 'none'; }
 function showError(msg) { errorDiv.querySelector('p').textContent = msg; errorDiv.style.display = 'block'; }
 function hideError() { errorDiv.style.display = 'none'; }
+
+refreshSessionList();
+restoreAutosave();
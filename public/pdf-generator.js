@@ -1,6 +1,75 @@
 (function () {
+    const LINKED_TYPES = ["proof", "example", "remark", "claim", "notation", "exercise"];
+    const ITEM_TYPES = ["definition", "theorem", "lemma", "proposition", "corollary", "axiom"];
+
+    // Named looks for the cards. Options given to the constructor override
+    // the theme's values.
+    const THEMES = {
+      default: {
+        accentColor: "#667eea",
+        textColor: "#2d3748",
+        mutedColor: "#718096",
+        badgeTextColor: "#ffffff",
+        cardBorderColor: null,
+        colorMap: {
+          definition: "#E8EDFF",
+          lemma: "#E8FFF3",
+          theorem: "#FFF5E6",
+          proposition: "#FFF0F5",
+          corollary: "#F0FFF4",
+          remark: "#F7FAFC",
+          claim: "#F9FAFB",
+          axiom: "#E6F7FF",
+          proof: "#FAFAFA",
+          example: "#FFFBEA",
+          exercise: "#EBF8FF",
+          notation: "#F7FAFC",
+        },
+      },
+      // Black on white with outlined cards, for printers.
+      print: {
+        accentColor: "#000000",
+        textColor: "#000000",
+        mutedColor: "#444444",
+        badgeTextColor: "#ffffff",
+        cardBorderColor: "#000000",
+        colorMap: Object.fromEntries(ITEM_TYPES.concat(LINKED_TYPES).map((t) => [t, "#FFFFFF"])),
+      },
+      classic: {
+        accentColor: "#8B5E34",
+        textColor: "#2B2118",
+        mutedColor: "#7A6A58",
+        badgeTextColor: "#FFFDF8",
+        cardBorderColor: null,
+        headingFont: "times",
+        colorMap: {
+          definition: "#F6EFE3",
+          lemma: "#F1F3E6",
+          theorem: "#F8EBDD",
+          proposition: "#F3ECEF",
+          corollary: "#EEF2E8",
+          remark: "#F7F4EE",
+          claim: "#F7F4EE",
+          axiom: "#EAF0F2",
+          proof: "#FBF8F3",
+          example: "#F8F3E3",
+          exercise: "#EEF1F4",
+          notation: "#F7F4EE",
+        },
+      },
+    };
+
+    // The standard PDF fonts jsPDF has built in, and the CSS stacks the
+    // raster export uses for them.
+    const FONTS = {
+      times: "'Georgia','Times New Roman',Times,serif",
+      helvetica: "system-ui,-apple-system,'Helvetica Neue',Arial,sans-serif",
+      courier: "'Courier New',Courier,monospace",
+    };
+
     class LatexPDFGenerator {
       constructor(opts = {}) {
+        const theme = THEMES[opts.theme] || THEMES.default;
         this.options = Object.assign(
           {
             pdfUnit: "pt",
@@ -8,24 +77,45 @@
             pdfOrientation: "p",
             filename: "extracted.pdf",
   
+            // "vector" writes real text and MathJax SVG; "raster" screenshots the
+            // rendered cards with html2canvas. Vector falls back to raster when
+            // svg2pdf.js is missing or the export fails.
+            exportMode: "vector",
+            theme: "default",
+            bodyFont: "times",
+            headingFont: "helvetica",
+
             rasterScale: 2.8,
             pageMarginPt: 28, 
             contentWidthPx: 820,       
             blockSpacingPx: 24,        
-  
-            colorMap: {
-              definition: "#E8EDFF",
-              lemma: "#E8FFF3",
-              theorem: "#FFF5E6",
-              proposition: "#FFF0F5",
-              corollary: "#F0FFF4",
-              remark: "#F7FAFC",
-              claim: "#F9FAFB",
-              axiom: "#E6F7FF",
-            },
+            continuedHeaderPt: 18,
+            // Vector only: cards flow down one column, then the next.
+            columns: 1,
+            columnGapPt: 18,
+            // { title, subtitle, author } puts a cover page first.
+            cover: null,
+            // Vector only: a contents page linking to every card, and an index
+            // of the terms in graph.nodes[].terms linking to their definitions.
+            tableOfContents: false,
+            termIndex: false,
+            // Running header text and "page / pages" footers after the cover.
+            header: "",
+            pageNumbers: false,
+            // Draw linked proofs, examples, ... (item.children) under their
+            // statement; false leaves all linked content out.
+            includeLinked: true,
+            // Dependency graph from the server, { nodes, edges: [{ from, to }] } over
+            // item ids. Cards then list what they use and what uses them;
+            // in vector PDFs each entry links to that card.
+            graph: null,
           },
+          theme,
           opts
         );
+        if (!FONTS[this.options.bodyFont]) this.options.bodyFont = "times";
+        if (!FONTS[this.options.headingFont]) this.options.headingFont = "helvetica";
+        this.options.columns = Math.min(2, Math.max(1, Math.round(Number(this.options.columns)) || 1));
   
         const { jsPDF } = window.jspdf || {};
         if (!jsPDF) throw new Error("jsPDF is not loaded.");
@@ -43,10 +133,21 @@
         }
       }
   
-      async generatePDF(items) {
-        if (!Array.isArray(items) || items.length === 0) {
+      async generatePDF(allItems) {
+        if (!Array.isArray(allItems) || allItems.length === 0) {
           throw new Error("No items to export.");
         }
+        const items = this._exportItems(allItems);
+
+        if (this.options.exportMode === "vector" && this._canExportVector()) {
+          try {
+            const pdf = await this.buildVectorPDF(items);
+            pdf.save(this.options.filename);
+            return;
+          } catch (e) {
+            console.error("Vector export failed, falling back to raster", e);
+          }
+        }
   
         const { wrapper, cards } = await this._buildContinuousDocument(items);
   
@@ -65,9 +166,16 @@
   
         this.renderHost.removeChild(wrapper);
   
-        await this._buildPdfFromSlices(bigCanvas, slices);
+        await this._buildPdfFromSlices(bigCanvas, slices, items);
       }
   
+      // Linked items that found no statement are top-level items of their own
+      // type; they go when linked content is left out.
+      _exportItems(items) {
+        if (this.options.includeLinked) return items;
+        return items.filter((it) => !LINKED_TYPES.includes(String(it.type || "").toLowerCase()));
+      }
+
       async _buildContinuousDocument(items) {
         const wrapper = document.createElement("div");
         wrapper.style.cssText = `
@@ -76,14 +184,15 @@
           padding:0;
           margin:0;
           background:white;
-          font-family: 'Georgia','Times New Roman',Times,serif;
-          color:#2d3748;
+          font-family:${FONTS[this.options.bodyFont]};
+          color:${this.options.textColor};
         `;
   
         const cards = [];
+        const links = this._crossLinks(items);
   
         for (let i = 0; i < items.length; i++) {
-          const card = this._buildItemCard(items[i], i);
+          const card = this._buildItemCard(items[i], i, links.get(items[i].id));
           if (i > 0) card.style.marginTop = `${this.options.blockSpacingPx}px`;
           wrapper.appendChild(card);
           cards.push(card);
@@ -93,17 +202,21 @@
         return { wrapper, cards };
       }
   
-      _buildItemCard(item, index) {
+      _buildItemCard(item, index, links) {
         const type = String(item.type || "definition").toLowerCase();
         const bg = this.options.colorMap[type] || this.options.colorMap.definition;
   
+        const { accentColor, textColor, mutedColor, cardBorderColor } = this.options;
+        const headingFont = FONTS[this.options.headingFont];
+  
         const card = document.createElement("div");
         card.style.cssText = `
           box-sizing:border-box;
           background:${bg};
           padding:16px 18px;
           border-radius:10px;
-          border-left:5px solid #667eea;
+          ${cardBorderColor ? `border:1px solid ${cardBorderColor};` : ""}
+          border-left:5px solid ${accentColor};
           line-height:1.75;
           box-shadow: 0 1px 2px rgba(0,0,0,0.06);
         `;
@@ -114,16 +227,17 @@
         const badge = document.createElement("div");
         badge.textContent = item.type || "Item";
         badge.style.cssText = `
-          display:inline-block;background:#667eea;color:white;padding:4px 10px;border-radius:5px;
+          display:inline-block;background:${accentColor};color:${this.options.badgeTextColor};padding:4px 10px;border-radius:5px;
           font-size:11px;font-weight:700;text-transform:uppercase;
-          font-family:system-ui,-apple-system,sans-serif;
+          font-family:${headingFont};
         `;
   
         const title = document.createElement("div");
         title.textContent = item.title || `${item.type || "Item"} ${index + 1}`;
+        card.dataset.title = title.textContent;
         title.style.cssText = `
-          font-size:16px;font-weight:700;color:#2d3748;
-          font-family:system-ui,-apple-system,sans-serif;
+          font-size:16px;font-weight:700;color:${textColor};
+          font-family:${headingFont};
         `;
   
         header.appendChild(badge);
@@ -133,18 +247,32 @@
         const content = document.createElement("div");
         content.className = "content-text";
         content.style.cssText = `
-          font-size:15px;line-height:1.85;color:#2d3748;
+          font-size:15px;line-height:1.85;color:${textColor};
           white-space:pre-wrap;word-wrap:break-word;overflow-wrap:break-word;
         `;
         content.textContent = item.content || "";
         card.appendChild(content);
+
+        if (this.options.includeLinked) {
+          for (const child of item.children || []) card.appendChild(this._buildChildBlock(child));
+        }
+
+        for (const [label, targets] of this._crossLinkLists(links)) {
+          const line = document.createElement("div");
+          line.textContent = `${label}: ${targets.map((t) => this._itemLabel(t)).join(", ")}`;
+          line.style.cssText = `
+            margin-top:8px;font-size:12px;color:${mutedColor};
+            font-family:${headingFont};
+          `;
+          card.appendChild(line);
+        }
   
         if (item.page != null) {
           const meta = document.createElement("div");
           meta.textContent = `Source page: ${item.page}`;
           meta.style.cssText = `
-            margin-top:10px;font-size:11px;color:#718096;
-            font-family:system-ui,-apple-system,sans-serif;
+            margin-top:10px;font-size:11px;color:${mutedColor};
+            font-family:${headingFont};
           `;
           card.appendChild(meta);
         }
@@ -152,6 +280,57 @@
         return card;
       }
   
+      _buildChildBlock(child) {
+        const block = document.createElement("div");
+        block.style.cssText = `margin-top:12px;padding-top:8px;border-top:1px dashed ${this.options.cardBorderColor || "#cbd5e0"};`;
+
+        const label = document.createElement("div");
+        label.textContent = child.title || child.type || "";
+        label.style.cssText = `
+          font-size:12px;font-weight:700;color:${this.options.mutedColor};
+          font-family:${FONTS[this.options.headingFont]};
+        `;
+
+        const content = document.createElement("div");
+        content.className = "content-text";
+        content.style.cssText = `
+          font-size:14px;line-height:1.75;color:${this.options.textColor};
+          white-space:pre-wrap;word-wrap:break-word;overflow-wrap:break-word;
+        `;
+        content.textContent = child.content || "";
+
+        block.appendChild(label);
+        block.appendChild(content);
+        return block;
+      }
+
+      // For each exported item id, the exported items it uses and is used by.
+      _crossLinks(items) {
+        const links = new Map();
+        const edges = (this.options.graph && this.options.graph.edges) || [];
+        if (!edges.length) return links;
+        const byId = new Map(items.filter((it) => it.id).map((it) => [it.id, it]));
+        const entry = (id) => {
+          if (!links.has(id)) links.set(id, { uses: [], usedBy: [] });
+          return links.get(id);
+        };
+        for (const { from, to } of edges) {
+          if (!byId.has(from) || !byId.has(to) || from === to) continue;
+          entry(from).uses.push(byId.get(to));
+          entry(to).usedBy.push(byId.get(from));
+        }
+        return links;
+      }
+
+      _crossLinkLists(links) {
+        if (!links) return [];
+        return [["Uses", links.uses], ["Used by", links.usedBy]].filter(([, targets]) => targets.length);
+      }
+
+      _itemLabel(item) {
+        return item.title || item.type || "Item";
+      }
+
       _computePageSlices(wrapper, cards, bigCanvas) {
         const pdf = new this.jsPDF({
           unit: this.options.pdfUnit,
@@ -165,97 +344,139 @@
         const usableHeightPt = pageHeightPt - 2 * margin;
         const pxToPt = usableWidthPt / bigCanvas.width;
         const pageSliceHeightPx = Math.floor(usableHeightPt / pxToPt);
+        const continuedHeaderPx = Math.ceil(this.options.continuedHeaderPt / pxToPt);
   
         const wrapperTop = wrapper.getBoundingClientRect().top;
+        const toPx = (y) => Math.round((y - wrapperTop + wrapper.scrollTop) * this.options.rasterScale);
         const cardRectsPx = cards.map((el) => {
           const r = el.getBoundingClientRect();
-          const topPx = (r.top - wrapperTop) + wrapper.scrollTop;
-          const heightPx = r.height;
           return {
-            topPx: Math.round(topPx * this.options.rasterScale),
-            heightPx: Math.round(heightPx * this.options.rasterScale),
+            topPx: toPx(r.top),
+            heightPx: Math.round(r.height * this.options.rasterScale),
+            breaksPx: this._safeBreaks(el).map(toPx),
+            title: el.dataset.title,
           };
         });
   
         const slices = [];
+        let i = 0;
         let pageStartPx = 0;
-        let usedPx = 0;               
-        let currentIndex = 0;
-  
-        while (currentIndex < cardRectsPx.length) {
-          usedPx = 0;
-          const pageMaxPx = pageSliceHeightPx;
-  
-          let lastCardBottomPx = pageStartPx;
-          while (currentIndex < cardRectsPx.length) {
-            const c = cardRectsPx[currentIndex];
-            const cardTopPx = c.topPx;
-            const cardBottomPx = c.topPx + c.heightPx;
+        let continuedTitle = null;
 
-            if (usedPx === 0) {
-              pageStartPx = cardTopPx;
-            }
-  
-            const nextUsedPx = (cardBottomPx - pageStartPx);
-  
-            if (nextUsedPx <= pageMaxPx) {
-              usedPx = nextUsedPx;
-              lastCardBottomPx = cardBottomPx;
-              currentIndex += 1;
+        while (i < cardRectsPx.length) {
+          if (!continuedTitle) pageStartPx = cardRectsPx[i].topPx;
+          const pageMaxPx = pageSliceHeightPx - (continuedTitle ? continuedHeaderPx : 0);
+
+          let pageEndPx = pageStartPx;
+          while (i < cardRectsPx.length) {
+            const c = cardRectsPx[i];
+            if (c.topPx + c.heightPx - pageStartPx > pageMaxPx) break;
+            pageEndPx = c.topPx + c.heightPx;
+            i += 1;
+          }
+
+          // Not even one card fits: the card is taller than a page, so cut it
+          // at the lowest line gap that fits and carry on with the rest. When
+          // no gap fits, one equation or line is taller than the page; the
+          // page then runs to the next gap and is shrunk to fit, rather than
+          // cut through the glyphs.
+          let nextContinued = null;
+          let scale = 1;
+          if (pageEndPx === pageStartPx) {
+            const c = cardRectsPx[i];
+            const cardEndPx = c.topPx + c.heightPx;
+            const limitPx = pageStartPx + pageMaxPx;
+            const breaks = c.breaksPx.filter((b) => b > pageStartPx && b <= limitPx);
+            if (breaks.length) {
+              pageEndPx = breaks[breaks.length - 1];
             } else {
-              break;
+              const next = c.breaksPx.find((b) => b > limitPx && b < cardEndPx);
+              pageEndPx = next === undefined ? cardEndPx : next;
+              scale = pageMaxPx / (pageEndPx - pageStartPx);
             }
+            if (pageEndPx < cardEndPx) nextContinued = c.title;
+            else i += 1;
           }
-  
-          if (usedPx > 0) {
-            slices.push({
-              yStartPx: pageStartPx,
-              yEndPx: lastCardBottomPx,
-              usableWidthPt,
-              pxToPt,
-              margin,
-              usableHeightPt,
-            });
-            pageStartPx = lastCardBottomPx;
-          } else {
-            const c = cardRectsPx[currentIndex];
-            slices.push({
-              yStartPx: c.topPx,
-              yEndPx: c.topPx + Math.min(c.heightPx, pageSliceHeightPx),
-              usableWidthPt,
-              pxToPt,
-              margin,
-              usableHeightPt,
-            });
-            currentIndex += 1;
-            pageStartPx = slices[slices.length - 1].yEndPx;
-          }
+
+          slices.push({
+            yStartPx: pageStartPx,
+            yEndPx: pageEndPx,
+            continuedTitle,
+            usableWidthPt,
+            pxToPt,
+            margin,
+            usableHeightPt,
+            scale,
+          });
+          pageStartPx = pageEndPx;
+          continuedTitle = nextContinued;
         }
   
         return slices;
       }
+
+      _drawContinuedHeader(pdf, title, x, top, fontSize) {
+        pdf.setFont(this.options.headingFont, "bold");
+        pdf.setFontSize(fontSize);
+        pdf.setTextColor(this.options.mutedColor);
+        pdf.text(`${title} (continued)`, x, top + fontSize);
+      }
+
+      // Y positions (viewport coordinates) inside a card where a page can be
+      // cut without going through a line of text or an equation: the bottoms
+      // of runs of overlapping line boxes.
+      _safeBreaks(card) {
+        const boxes = [];
+        const range = document.createRange();
+        const walker = document.createTreeWalker(card, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+          if (!node.textContent.trim()) continue;
+          range.selectNodeContents(node);
+          for (const r of range.getClientRects()) boxes.push([r.top, r.bottom]);
+        }
+        card.querySelectorAll("mjx-container").forEach((m) => {
+          const r = m.getBoundingClientRect();
+          boxes.push([r.top, r.bottom]);
+        });
+
+        boxes.sort((a, b) => a[0] - b[0]);
+        const breaks = [];
+        let bottom = -Infinity;
+        for (const [top, bot] of boxes) {
+          if (top >= bottom && bottom !== -Infinity) breaks.push(bottom);
+          bottom = Math.max(bottom, bot);
+        }
+        if (bottom !== -Infinity) breaks.push(bottom);
+        return breaks;
+      }
   
-      async _buildPdfFromSlices(bigCanvas, slices) {
+      async _buildPdfFromSlices(bigCanvas, slices, items) {
         const pdf = new this.jsPDF({
           unit: this.options.pdfUnit,
           format: this.options.pdfFormat,
           orientation: this.options.pdfOrientation,
           compress: true,
         });
+        const hasCover = Boolean(this.options.cover && this.options.cover.title);
+        if (hasCover) this._drawCover(pdf, items);
   
-        let first = true;
+        let first = !hasCover;
   
         for (const slice of slices) {
           const {
             yStartPx,
             yEndPx,
+            continuedTitle,
             usableWidthPt,
             pxToPt,
             margin,
+            scale,
           } = slice;
   
           const sliceHeightPx = yEndPx - yStartPx;
-          const sliceHeightPt = sliceHeightPx * pxToPt;
+          const sliceHeightPt = sliceHeightPx * pxToPt * scale;
+          const sliceWidthPt = usableWidthPt * scale;
   
           const sliceCanvas = document.createElement("canvas");
           sliceCanvas.width = bigCanvas.width;
@@ -278,22 +499,653 @@
   
           if (!first) pdf.addPage();
           first = false;
+
+          let top = margin;
+          if (continuedTitle) {
+            this._drawContinuedHeader(pdf, continuedTitle, margin, top, 10);
+            top += this.options.continuedHeaderPt;
+          }
   
           pdf.addImage(
             img,
             "PNG",
-            margin,
-            margin,
-            usableWidthPt,
+            margin + (usableWidthPt - sliceWidthPt) / 2,
+            top,
+            sliceWidthPt,
             sliceHeightPt,
             undefined,
             "FAST"
           );
         }
-  
+
+        this._decoratePages(pdf, hasCover ? 2 : 1);
         pdf.save(this.options.filename);
       }
   
+      /* ---------- Vector export ---------- */
+
+      _canExportVector() {
+        return typeof this.jsPDF.API.svg === "function";
+      }
+
+      // Lays the items out as text and vector math and returns the jsPDF
+      // document without saving it. Also used by the server's /api/v1/render.
+      async buildVectorPDF(allItems) {
+        const items = this._exportItems(allItems);
+        const pdf = new this.jsPDF({
+          unit: this.options.pdfUnit,
+          format: this.options.pdfFormat,
+          orientation: this.options.pdfOrientation,
+          compress: true,
+        });
+        const pageHeightPt = pdf.internal.pageSize.getHeight();
+        const margin = this.options.pageMarginPt;
+        const usableWidthPt = pdf.internal.pageSize.getWidth() - 2 * margin;
+        const { columns, columnGapPt } = this.options;
+        const columnWidthPt = (usableWidthPt - (columns - 1) * columnGapPt) / columns;
+        // Sizes are kept in CSS px like the raster cards and scaled so the
+        // card width matches the page, which keeps both exports alike.
+        // Columns make cards narrower, not their text smaller.
+        const s = usableWidthPt / this.options.contentWidthPx;
+        const pad = { top: 16 * s, right: 18 * s, bottom: 16 * s, left: 18 * s };
+        const bottom = pageHeightPt - margin;
+        const continuedHeight = 11 * s * 1.6;
+        // The tallest row a frame holds, even on a "(continued)" page.
+        const maxRowHeight = bottom - margin - pad.top - pad.bottom - continuedHeight;
+        const links = this._crossLinks(items);
+        // Where each card starts, and the entries (cross-links, contents,
+        // index) to link to it once every card has a page.
+        const cardStarts = new Map();
+        this._linkSpots = [];
+
+        let column = 0;
+        let y = margin;
+        const left = () => margin + column * (columnWidthPt + columnGapPt);
+        const nextFrame = () => {
+          if (column + 1 < columns) column++;
+          else {
+            pdf.addPage();
+            column = 0;
+          }
+          y = margin;
+        };
+
+        for (let i = 0; i < items.length; i++) {
+          const rows = this._withoutFontCache(() =>
+            this._buildCardRows(pdf, items[i], i, columnWidthPt - pad.left - pad.right, s, links.get(items[i].id), maxRowHeight)
+          );
+          const cardHeight = pad.top + pad.bottom + rows.reduce((h, r) => h + r.height, 0);
+
+          if (y > margin) y += this.options.blockSpacingPx * s;
+          if (y + cardHeight > bottom && y > margin) nextFrame();
+
+          const title = items[i].title || `${items[i].type || "Item"} ${i + 1}`;
+          let r = 0;
+          while (r < rows.length) {
+            // Every page after the first one a card spans starts with a
+            // "(continued)" line.
+            const continued = r > 0;
+            let end = r;
+            let segHeight = pad.top + pad.bottom + (continued ? continuedHeight : 0);
+            while (end < rows.length && y + segHeight + rows[end].height <= bottom) {
+              segHeight += rows[end].height;
+              end++;
+            }
+            if (end === r) {
+              if (y > margin) {
+                nextFrame();
+                continue;
+              }
+              segHeight += rows[r].height;
+              end = r + 1;
+            }
+
+            this._drawCardBackground(pdf, items[i], left(), y, columnWidthPt, segHeight, s);
+            if (!continued) cardStarts.set(items[i], { pageNumber: pdf.getNumberOfPages(), top: y });
+            let rowTop = y + pad.top;
+            if (continued) {
+              this._drawContinuedHeader(pdf, title, left() + pad.left, rowTop, 11 * s);
+              rowTop += continuedHeight;
+            }
+            for (let k = r; k < end; k++) {
+              await rows[k].draw(pdf, left() + pad.left, rowTop);
+              rowTop += rows[k].height;
+            }
+
+            y += segHeight;
+            r = end;
+            if (r < rows.length) nextFrame();
+          }
+        }
+
+        if (this.options.termIndex) this._drawTermIndex(pdf, items);
+
+        // Cover and contents go in front now that every card has its page.
+        const hasCover = Boolean(this.options.cover && this.options.cover.title);
+        const tocEntries = this.options.tableOfContents ? this._tocEntries(items) : [];
+        const tocPages = tocEntries.length ? Math.ceil(tocEntries.length / this._tocLinesPerPage(pdf)) : 0;
+        const front = (hasCover ? 1 : 0) + tocPages;
+        for (let k = 0; k < front; k++) pdf.insertPage(1);
+        for (const start of cardStarts.values()) start.pageNumber += front;
+        for (const spot of this._linkSpots) spot.pageNumber += front;
+
+        if (hasCover) {
+          pdf.setPage(1);
+          this._drawCover(pdf, items);
+        }
+        if (tocPages) this._drawToc(pdf, tocEntries, hasCover ? 2 : 1, cardStarts);
+
+        for (const spot of this._linkSpots) {
+          const target = cardStarts.get(spot.target);
+          if (!target) continue;
+          pdf.setPage(spot.pageNumber);
+          pdf.link(spot.x, spot.y, spot.width, spot.height, target);
+        }
+        this._linkSpots = [];
+        this._decoratePages(pdf, hasCover ? 2 : 1);
+        pdf.setPage(pdf.getNumberOfPages());
+
+        return pdf;
+      }
+
+      /* ---------- Cover, contents, index and page furniture ---------- */
+
+      _drawCover(pdf, items) {
+        const { title, subtitle, author } = this.options.cover;
+        const width = pdf.internal.pageSize.getWidth();
+        const height = pdf.internal.pageSize.getHeight();
+        const textWidth = width - 4 * this.options.pageMarginPt;
+        const heading = this.options.headingFont;
+        let y = height * 0.38;
+
+        pdf.setFillColor(this.options.accentColor);
+        pdf.rect(width / 2 - 40, y - 40, 80, 4, "F");
+
+        pdf.setFont(heading, "bold");
+        pdf.setFontSize(28);
+        pdf.setTextColor(this.options.textColor);
+        for (const line of pdf.splitTextToSize(String(title), textWidth)) {
+          pdf.text(line, width / 2, y, { align: "center" });
+          y += 34;
+        }
+        if (subtitle) {
+          pdf.setFont(heading, "normal");
+          pdf.setFontSize(16);
+          for (const line of pdf.splitTextToSize(String(subtitle), textWidth)) {
+            pdf.text(line, width / 2, y + 4, { align: "center" });
+            y += 22;
+          }
+        }
+        if (author) {
+          pdf.setFont(heading, "normal");
+          pdf.setFontSize(12);
+          pdf.setTextColor(this.options.mutedColor);
+          pdf.text(String(author), width / 2, y + 18, { align: "center" });
+          y += 18;
+        }
+
+        const counts = new Map();
+        for (const it of items) {
+          const type = String(it.type || "item").toLowerCase();
+          counts.set(type, (counts.get(type) || 0) + 1);
+        }
+        const summary = [...counts].map(([type, n]) => `${n} ${type}${n === 1 ? "" : "s"}`).join(" · ");
+        pdf.setFont(heading, "normal");
+        pdf.setFontSize(10);
+        pdf.setTextColor(this.options.mutedColor);
+        pdf.text(pdf.splitTextToSize(summary, textWidth), width / 2, y + 40, { align: "center" });
+      }
+
+      // One line per card, under a heading per document when there are several.
+      _tocEntries(items) {
+        const entries = [];
+        const grouped = new Set(items.map((it) => it.source)).size > 1;
+        items.forEach((item, i) => {
+          if (grouped && (i === 0 || item.source !== items[i - 1].source)) {
+            entries.push({ heading: item.source || "Added items" });
+          }
+          entries.push({ item, text: item.title || `${item.type || "Item"} ${i + 1}` });
+        });
+        return entries;
+      }
+
+      _tocLinesPerPage(pdf) {
+        const usable = pdf.internal.pageSize.getHeight() - 2 * this.options.pageMarginPt;
+        return Math.max(1, Math.floor((usable - 44) / 18));
+      }
+
+      _drawToc(pdf, entries, firstPage, cardStarts) {
+        const margin = this.options.pageMarginPt;
+        const right = pdf.internal.pageSize.getWidth() - margin;
+        const perPage = this._tocLinesPerPage(pdf);
+        const heading = this.options.headingFont;
+
+        entries.forEach((entry, k) => {
+          const page = firstPage + Math.floor(k / perPage);
+          pdf.setPage(page);
+          if (k % perPage === 0) {
+            pdf.setFont(heading, "bold");
+            pdf.setFontSize(20);
+            pdf.setTextColor(this.options.textColor);
+            pdf.text(k === 0 ? "Contents" : "Contents (continued)", margin, margin + 20);
+          }
+          const baseline = margin + 44 + (k % perPage) * 18;
+          if (entry.heading) {
+            pdf.setFont(heading, "bold");
+            pdf.setFontSize(11);
+            pdf.setTextColor(this.options.mutedColor);
+            pdf.text(String(entry.heading), margin, baseline);
+            return;
+          }
+          const start = cardStarts.get(entry.item);
+          const number = start ? String(start.pageNumber) : "";
+          pdf.setFont(this.options.bodyFont, "normal");
+          pdf.setFontSize(11);
+          pdf.setTextColor(this.options.textColor);
+          const [text] = pdf.splitTextToSize(entry.text, right - margin - 60);
+          pdf.text(text, margin + 10, baseline);
+          pdf.setTextColor(this.options.mutedColor);
+          pdf.text(number, right, baseline, { align: "right" });
+          if (start) pdf.link(margin, baseline - 12, right - margin, 16, { ...start });
+        });
+      }
+
+      // Terms the server found in definitions (graph.nodes[].terms), in
+      // alphabetical order on pages of their own after the cards.
+      _drawTermIndex(pdf, items) {
+        const nodes = (this.options.graph && this.options.graph.nodes) || [];
+        const byId = new Map(items.filter((it) => it.id).map((it) => [it.id, it]));
+        const entries = [];
+        for (const node of nodes) {
+          if (!byId.has(node.id)) continue;
+          for (const term of node.terms || []) entries.push({ term, item: byId.get(node.id) });
+        }
+        if (!entries.length) return;
+        entries.sort((a, b) => a.term.localeCompare(b.term));
+
+        const margin = this.options.pageMarginPt;
+        const right = pdf.internal.pageSize.getWidth() - margin;
+        const bottom = pdf.internal.pageSize.getHeight() - margin;
+        const heading = this.options.headingFont;
+        let y = bottom;
+        entries.forEach((entry, k) => {
+          if (y + 18 > bottom) {
+            pdf.addPage();
+            pdf.setFont(heading, "bold");
+            pdf.setFontSize(20);
+            pdf.setTextColor(this.options.textColor);
+            pdf.text(k === 0 ? "Index" : "Index (continued)", margin, margin + 20);
+            y = margin + 44;
+          }
+          pdf.setFont(this.options.bodyFont, "normal");
+          pdf.setFontSize(11);
+          pdf.setTextColor(this.options.textColor);
+          pdf.text(entry.term, margin, y);
+          const label = this._itemLabel(entry.item);
+          pdf.setTextColor(this.options.accentColor);
+          pdf.text(label, right, y, { align: "right" });
+          const width = pdf.getTextWidth(label);
+          this._linkSpots.push({
+            target: entry.item,
+            pageNumber: pdf.getNumberOfPages(),
+            x: right - width,
+            y: y - 11,
+            width,
+            height: 14,
+          });
+          y += 18;
+        });
+      }
+
+      // Running header and "page / pages" footer on every page from `fromPage`.
+      _decoratePages(pdf, fromPage) {
+        const { header, pageNumbers } = this.options;
+        if (!header && !pageNumbers) return;
+        const margin = this.options.pageMarginPt;
+        const width = pdf.internal.pageSize.getWidth();
+        const height = pdf.internal.pageSize.getHeight();
+        const total = pdf.getNumberOfPages();
+        for (let page = fromPage; page <= total; page++) {
+          pdf.setPage(page);
+          pdf.setFont(this.options.headingFont, "normal");
+          pdf.setFontSize(8);
+          pdf.setTextColor(this.options.mutedColor);
+          if (header) pdf.text(String(header), margin, margin / 2 + 3);
+          if (pageNumbers) pdf.text(`${page} / ${total}`, width / 2, height - margin / 2 + 3, { align: "center" });
+        }
+      }
+
+      // MathJax's global font cache makes every SVG refer to glyphs stored
+      // elsewhere in the page, which svg2pdf cannot follow.
+      _withoutFontCache(fn) {
+        const output = window.MathJax && window.MathJax.startup && window.MathJax.startup.output;
+        if (!output || !output.options) return fn();
+        const previous = output.options.fontCache;
+        output.options.fontCache = "none";
+        try {
+          return fn();
+        } finally {
+          output.options.fontCache = previous;
+        }
+      }
+
+      _drawCardBackground(pdf, item, x, y, width, height, s) {
+        const type = String(item.type || "definition").toLowerCase();
+        const bg = this.options.colorMap[type] || this.options.colorMap.definition;
+        pdf.setFillColor(bg);
+        pdf.roundedRect(x, y, width, height, 10 * s, 10 * s, "F");
+        pdf.setFillColor(this.options.accentColor);
+        pdf.rect(x, y, 5 * s, height, "F");
+        if (this.options.cardBorderColor) {
+          pdf.setDrawColor(this.options.cardBorderColor);
+          pdf.setLineWidth(0.75 * s);
+          pdf.roundedRect(x, y, width, height, 10 * s, 10 * s, "S");
+        }
+      }
+
+      // A card is a list of rows (header, content lines, source page) so it can
+      // be broken between any two of them.
+      _buildCardRows(pdf, item, index, width, s, links, maxRowHeight) {
+        const rows = [this._headerRow(pdf, item, index, width, s)];
+
+        const lines = this._layoutContent(pdf, this._tokenizeContent(item.content || ""), width, {
+          font: this.options.bodyFont,
+          fontSize: 15 * s,
+          lineHeight: 1.85,
+          maxHeight: maxRowHeight,
+        });
+        for (const line of lines) rows.push(this._contentRow(line));
+
+        if (this.options.includeLinked) {
+          for (const child of item.children || []) {
+            rows.push(this._childLabelRow(child, s));
+            const childLines = this._layoutContent(pdf, this._tokenizeContent(child.content || ""), width, {
+              font: this.options.bodyFont,
+              fontSize: 14 * s,
+              lineHeight: 1.75,
+              maxHeight: maxRowHeight,
+            });
+            for (const line of childLines) rows.push(this._contentRow(line));
+          }
+        }
+
+        for (const [label, targets] of this._crossLinkLists(links)) {
+          rows.push(...this._crossLinkRows(pdf, label, targets, width, s));
+        }
+
+        if (item.page != null) {
+          const fontSize = 11 * s;
+          rows.push({
+            height: 10 * s + fontSize * 1.4,
+            draw: async (doc, x, top) => {
+              doc.setFont(this.options.headingFont, "normal");
+              doc.setFontSize(fontSize);
+              doc.setTextColor(this.options.mutedColor);
+              doc.text(`Source page: ${item.page}`, x, top + 10 * s + fontSize);
+            },
+          });
+        }
+        return rows;
+      }
+
+      _headerRow(pdf, item, index, width, s) {
+        const badgeText = String(item.type || "Item").toUpperCase();
+        const badgeSize = 11 * s;
+        pdf.setFont(this.options.headingFont, "bold");
+        pdf.setFontSize(badgeSize);
+        const badgeWidth = pdf.getTextWidth(badgeText) + 20 * s;
+        const badgeHeight = badgeSize + 8 * s;
+
+        const titleSize = 16 * s;
+        const titleX = badgeWidth + 10 * s;
+        pdf.setFontSize(titleSize);
+        const titleLines = pdf.splitTextToSize(
+          item.title || `${item.type || "Item"} ${index + 1}`,
+          width - titleX
+        );
+        const titleLineHeight = titleSize * 1.3;
+        const firstLineHeight = Math.max(titleLineHeight, badgeHeight);
+        const headerHeight = firstLineHeight + (titleLines.length - 1) * titleLineHeight;
+
+        return {
+          height: headerHeight + 10 * s,
+          draw: async (doc, x, top) => {
+            const badgeTop = top + (firstLineHeight - badgeHeight) / 2;
+            doc.setFillColor(this.options.accentColor);
+            doc.roundedRect(x, badgeTop, badgeWidth, badgeHeight, 5 * s, 5 * s, "F");
+            doc.setFont(this.options.headingFont, "bold");
+            doc.setFontSize(badgeSize);
+            doc.setTextColor(this.options.badgeTextColor);
+            doc.text(badgeText, x + 10 * s, badgeTop + (badgeHeight - badgeSize) / 2 + badgeSize * 0.8);
+
+            doc.setFontSize(titleSize);
+            doc.setTextColor(this.options.textColor);
+            const firstBaseline = top + (firstLineHeight - titleSize) / 2 + titleSize * 0.8;
+            titleLines.forEach((line, k) => doc.text(line, x + titleX, firstBaseline + k * titleLineHeight));
+          },
+        };
+      }
+
+      _childLabelRow(child, s) {
+        const fontSize = 12 * s;
+        return {
+          height: 12 * s + fontSize * 1.5,
+          draw: async (doc, x, top) => {
+            doc.setFont(this.options.headingFont, "bold");
+            doc.setFontSize(fontSize);
+            doc.setTextColor(this.options.mutedColor);
+            doc.text(String(child.title || child.type || ""), x, top + 12 * s + fontSize);
+          },
+        };
+      }
+
+      // "Uses: Lemma 4.1, Definition 2.3" wrapped to the card width, one row
+      // per line. Drawing records where each title landed for its link.
+      _crossLinkRows(pdf, label, targets, width, s) {
+        const fontSize = 11 * s;
+        pdf.setFont(this.options.headingFont, "normal");
+        pdf.setFontSize(fontSize);
+        const lines = [[{ text: `${label}: `, x: 0 }]];
+        let x = pdf.getTextWidth(`${label}: `);
+        targets.forEach((target, k) => {
+          const title = this._itemLabel(target);
+          const text = k < targets.length - 1 ? `${title},` : title;
+          const textWidth = pdf.getTextWidth(text);
+          if (x > 0 && x + textWidth > width) {
+            lines.push([]);
+            x = 0;
+          }
+          lines[lines.length - 1].push({ text, x, width: pdf.getTextWidth(title), target });
+          x += textWidth + pdf.getTextWidth(" ");
+        });
+
+        return lines.map((segments, k) => {
+          const gap = k === 0 ? 8 * s : 0;
+          return {
+            height: gap + fontSize * 1.5,
+            draw: async (doc, left, top) => {
+              const baseline = top + gap + fontSize;
+              doc.setFont(this.options.headingFont, "normal");
+              doc.setFontSize(fontSize);
+              for (const seg of segments) {
+                doc.setTextColor(seg.target ? this.options.accentColor : this.options.mutedColor);
+                doc.text(seg.text, left + seg.x, baseline);
+                if (!seg.target) continue;
+                this._linkSpots.push({
+                  target: seg.target,
+                  pageNumber: doc.getCurrentPageInfo().pageNumber,
+                  x: left + seg.x,
+                  y: baseline - fontSize,
+                  width: seg.width,
+                  height: fontSize * 1.25,
+                });
+              }
+            },
+          };
+        });
+      }
+
+      _contentRow(line) {
+        return {
+          height: line.height,
+          draw: async (doc, x, top) => {
+            const baseline = top + line.baseline;
+            doc.setFont(line.font, "normal");
+            doc.setFontSize(line.fontSize);
+            doc.setTextColor(this.options.textColor);
+            for (const run of line.runs) {
+              if (run.kind === "text") {
+                doc.text(run.text, x + run.x, baseline);
+              } else {
+                await this._drawSvg(doc, run, x + run.x, baseline - run.ascent);
+              }
+            }
+          },
+        };
+      }
+
+      async _drawSvg(pdf, box, x, y) {
+        const height = box.ascent + box.depth;
+        box.svg.setAttribute("width", box.width);
+        box.svg.setAttribute("height", height);
+        box.svg.setAttribute("color", this.options.textColor);
+        this.renderHost.appendChild(box.svg);
+        try {
+          await pdf.svg(box.svg, { x, y, width: box.width, height });
+        } finally {
+          this.renderHost.removeChild(box.svg);
+        }
+      }
+
+      // Splits statement text into words, spaces, hard line breaks and math,
+      // using the same delimiters MathJax is configured with.
+      _tokenizeContent(text) {
+        const tokens = [];
+        const mathRe = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\begin\{([a-zA-Z]+\*?)\}[\s\S]+?\\end\{\3\}|\$((?:\\\$|[^$])+?)\$|\\\(([\s\S]+?)\\\)/g;
+        let last = 0;
+        let m;
+        while ((m = mathRe.exec(text))) {
+          this._pushTextTokens(tokens, text.slice(last, m.index));
+          if (m[1] != null || m[2] != null) tokens.push({ type: "math", tex: m[1] != null ? m[1] : m[2], display: true });
+          else if (m[3] != null) tokens.push({ type: "math", tex: m[0], display: true });
+          else tokens.push({ type: "math", tex: m[4] != null ? m[4] : m[5], display: false });
+          last = mathRe.lastIndex;
+        }
+        this._pushTextTokens(tokens, text.slice(last));
+        return tokens;
+      }
+
+      _pushTextTokens(tokens, text) {
+        text.split("\n").forEach((line, i) => {
+          if (i > 0) tokens.push({ type: "newline" });
+          for (const part of line.split(/(\s+)/)) {
+            if (!part) continue;
+            if (/^\s+$/.test(part)) tokens.push({ type: "space" });
+            else tokens.push({ type: "word", text: part.replace(/\\\$/g, "$") });
+          }
+        });
+      }
+
+      _mathBox(tex, display, fontSize) {
+        if (!window.MathJax || typeof window.MathJax.tex2svg !== "function") return null;
+        const svg = window.MathJax.tex2svg(tex, { display }).querySelector("svg");
+        const viewBox = (svg && svg.getAttribute("viewBox") || "").split(/\s+/).map(Number);
+        if (viewBox.length !== 4 || viewBox.some((n) => !isFinite(n))) return null;
+        // MathJax viewBoxes are in thousandths of an em.
+        const em = fontSize / 1000;
+        return {
+          kind: "svg",
+          svg,
+          width: viewBox[2] * em,
+          ascent: -viewBox[1] * em,
+          depth: (viewBox[1] + viewBox[3]) * em,
+        };
+      }
+
+      // Greedy line breaking over words and inline math. Display math gets a
+      // centred line of its own, shrunk when wider than the card or when its
+      // line would be taller than `style.maxHeight` (a page).
+      _layoutContent(pdf, tokens, maxWidth, style) {
+        pdf.setFont(style.font, "normal");
+        pdf.setFontSize(style.fontSize);
+        const spaceWidth = pdf.getTextWidth(" ");
+        const leading = style.fontSize * (style.lineHeight - 1);
+        const lines = [];
+        let line = null;
+        let pendingSpace = false;
+        let afterDisplay = false;
+
+        const newLine = () => {
+          line = { runs: [], width: 0, ascent: style.fontSize * 0.78, depth: style.fontSize * 0.22 };
+          lines.push(line);
+          pendingSpace = false;
+        };
+        const place = (box) => {
+          if (line.runs.length && line.width + (pendingSpace ? spaceWidth : 0) + box.width > maxWidth) newLine();
+          const gap = pendingSpace && line.runs.length ? spaceWidth : 0;
+          const last = line.runs[line.runs.length - 1];
+          if (box.kind === "text" && last && last.kind === "text") {
+            last.text += (gap ? " " : "") + box.text;
+            last.width = line.width + gap + box.width - last.x;
+          } else {
+            line.runs.push(Object.assign({}, box, { x: line.width + gap }));
+          }
+          line.width += gap + box.width;
+          line.ascent = Math.max(line.ascent, box.ascent || 0);
+          line.depth = Math.max(line.depth, box.depth || 0);
+          pendingSpace = false;
+        };
+        const textBox = (text) => ({ kind: "text", text, width: pdf.getTextWidth(text) });
+
+        newLine();
+        for (const tok of tokens) {
+          const wasAfterDisplay = afterDisplay;
+          afterDisplay = false;
+          if (tok.type === "space") {
+            pendingSpace = true;
+            afterDisplay = wasAfterDisplay;
+          } else if (tok.type === "newline") {
+            // The line break right after display math is already taken.
+            if (!wasAfterDisplay) newLine();
+          } else if (tok.type === "word") {
+            place(textBox(tok.text));
+          } else {
+            const box = this._mathBox(tok.tex, tok.display, style.fontSize);
+            if (!box) {
+              place(textBox(tok.display ? `$$${tok.tex}$$` : `$${tok.tex}$`));
+            } else if (!tok.display) {
+              place(box);
+            } else {
+              if (line.runs.length) newLine();
+              const gap = style.fontSize * 0.3;
+              const fitHeight = style.maxHeight ? (style.maxHeight - leading - 2 * gap) / (box.ascent + box.depth) : 1;
+              const scale = Math.min(1, maxWidth / box.width, fitHeight);
+              const run = Object.assign({}, box, {
+                width: box.width * scale,
+                ascent: box.ascent * scale,
+                depth: box.depth * scale,
+              });
+              run.x = (maxWidth - run.width) / 2;
+              line.runs.push(run);
+              line.ascent = run.ascent + gap;
+              line.depth = run.depth + gap;
+              line.width = maxWidth;
+              newLine();
+              afterDisplay = true;
+            }
+          }
+        }
+
+        while (lines.length > 1 && !lines[lines.length - 1].runs.length) lines.pop();
+        return lines.map((l) => ({
+          runs: l.runs,
+          font: style.font,
+          fontSize: style.fontSize,
+          height: l.ascent + l.depth + leading,
+          baseline: leading / 2 + l.ascent,
+        }));
+      }
+  
       async _typeset(node) {
         if (!window.MathJax) return;
         if (window.MathJax.typesetPromise) {
@@ -1,19 +1,60 @@
 const express = require('express');
-const multer = require('multer');
-const pdfParse = require('pdf-parse');
-const OpenAI = require('openai');
 const cors = require('cors');
-const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
+const { createProvider } = require('./lib/providers');
+const { OCR_MODES, OCR_MODE, ocrUnavailable } = require('./lib/ocr');
+const { EXTRACT_MODES, LINKED_TYPES } = require('./lib/extract');
+const { getCached, listCached, clearCached } = require('./lib/cache');
+const { checkItems } = require('./lib/latex-check');
+const { extractBatch, estimateDocument, rerunChunks } = require('./lib/pipeline');
+const { withIds, buildGraph } = require('./lib/graph');
+const { renderPdf, readLayoutOptions, checkRenderItems } = require('./lib/render');
+const { buildTex } = require('./lib/tex-export');
+const { ANKI_FORMATS, buildAnkiText, buildApkg } = require('./lib/anki-export');
+const { getSession, createSession, updateSession, deleteSession, listSessions } = require('./lib/sessions');
+const { createJob, getJob, cancelJob, isFinished, summarize } = require('./lib/jobs');
+const { MAX_PDF_PAGES, UploadError, receivePdfs, checkUploads, readUpload, removeUploads, startUploadSweeper } = require('./lib/uploads');
+const { LLM_COST_QUOTA, QuotaError, rateLimit, createQuota } = require('./lib/limits');
+const { buildOpenApi } = require('./lib/openapi');
+const { priceFor, emptyUsage, addUsage, costOf, summarizeUsage } = require('./lib/usage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const provider = createProvider(process.env.LLM_PROVIDER);
+const DEFAULT_MODE = process.env.EXTRACT_MODE || 'llm';
 
-app.use(cors());
-app.use(express.json());
+// OCR reads its language data from disk; better to say it is missing now
+// than on the first scanned page.
+const ocrProblem = OCR_MODE === 'off' ? null : ocrUnavailable();
+if (ocrProblem) {
+  console.error(`${ocrProblem} (OCR_MODE=off starts the server without OCR.)`);
+  process.exit(1);
+}
+// The quota is in USD, so it needs to know what the model costs.
+if (LLM_COST_QUOTA && !priceFor(provider.name, provider.model)) {
+  console.error(`LLM_COST_QUOTA is set but ${provider.name} (${provider.model}) has no price; add one to LLM_PRICES.`);
+  process.exit(1);
+}
+const quota = createQuota();
+const limited = rateLimit();
+// The page asks for an estimate whenever the settings change, and it only
+// parses the PDFs, so estimates have a limit of their own.
+const estimateLimited = rateLimit();
+
+// Behind a reverse proxy, req.ip is the proxy's unless it is trusted to
+// name the client: "true", a hop count, or addresses as Express takes them.
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', trust === 'true' ? true : /^\d+$/.test(trust) ? Number(trust) : trust);
+}
+
+// CORS_ORIGINS lists the origins other pages may call the API from; any
+// origin may when it is unset or "*".
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS }));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' }));
 
 const PUBLIC_DIR = path.join(__dirname, 'public');
 app.use(express.static(PUBLIC_DIR));
@@ -22,139 +63,373 @@ app.get('/', (_req, res) => {
   res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
 });
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => cb(null, Date.now() + '-' + file.originalname)
-});
+// The JSON API, served under /api/v1 (see lib/openapi.js).
+const api = express.Router();
+
+// Reads the extraction settings of an upload request. Returns
+// `{ mode, include, ocr, refresh, collapse }`, or `{ status, error }` when the
+// upload cannot be processed. An `estimate` needs no key and no quota left.
+function readExtractRequest(req, { estimate = false } = {}) {
+  if (!req.files || !req.files.length) return { status: 400, error: 'No file uploaded' };
+  const notPdf = checkUploads(req.files);
+  if (notPdf) return { status: 400, error: notPdf };
 
-const upload = multer({
-  storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') cb(null, true);
-    else cb(new Error('Only PDF files are allowed'));
+  const mode = String(req.body.mode || DEFAULT_MODE).toLowerCase();
+  if (!EXTRACT_MODES.includes(mode)) {
+    return { status: 400, error: `Unknown extraction mode "${mode}". Use one of: ${EXTRACT_MODES.join(', ')}.` };
   }
-});
+  const include = String(req.body.include || '').toLowerCase().split(',').map(t => t.trim()).filter(Boolean);
+  const unknown = include.find(t => !LINKED_TYPES.includes(t));
+  if (unknown) {
+    return { status: 400, error: `Unknown linked type "${unknown}". Use any of: ${LINKED_TYPES.join(', ')}.` };
+  }
+  const ocr = String(req.body.ocr || OCR_MODE).toLowerCase();
+  if (!OCR_MODES.includes(ocr)) {
+    return { status: 400, error: `Unknown OCR mode "${ocr}". Use one of: ${OCR_MODES.join(', ')}.` };
+  }
+  if (mode !== 'rules' && !estimate && !provider.isConfigured()) {
+    return { status: 500, error: `API key for LLM provider "${provider.name}" not set on server.` };
+  }
+  if (mode !== 'rules' && !estimate && quota.status(req.ip).remaining === 0) {
+    return { status: 429, error: 'Your LLM quota is used up; the rules mode still works.' };
+  }
+  return {
+    mode,
+    include: LINKED_TYPES.filter(t => include.includes(t)),
+    ocr,
+    refresh: req.body.refresh === 'true',
+    collapse: req.body.collapse === 'true'
+  };
+}
+
+// Errors the client can act on keep their status; anything else is a 500.
+function sendError(res, err, error) {
+  if (err instanceof UploadError || err instanceof QuotaError) {
+    if (err.retryAfterMs) res.set('Retry-After', String(Math.ceil(err.retryAfterMs / 1000)));
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(err);
+  return res.status(500).json({ error, details: err.message });
+}
 
-function chunkText(text, chunkSize = 15000) {
-  const chunks = [];
-  for (let i = 0; i < text.length; i += chunkSize) chunks.push(text.substring(i, i + chunkSize));
-  return chunks;
+// Uploads are processed with the caller's LLM use metered and, before the
+// first request, checked against what the caller has left.
+function uploadedDocuments(files) {
+  return files.map(file => ({ name: file.originalname, load: () => readUpload(file) }));
 }
 
-function normalizeNumberedTitle(title = '', fallbackType = '') {
-  const raw = String(title || '').toLowerCase().trim()
-    .replace(/\s+/g, ' ')
-    .replace(/[·–—-]/g, '-') 
-    .replace(/\s*[\.:;,-]+\s*$/,''); 
+function pipelineOptions(client) {
+  return {
+    provider,
+    llm: quota.meter(provider, client),
+    maxPages: MAX_PDF_PAGES,
+    beforeLlm: (_parsed, name, estimate) => quota.check(client, estimate, provider, `"${name}"`)
+  };
+}
 
-  const norm = raw
-    .replace(/^prop\.\s+/i, 'proposition ')
-    .replace(/^cor\.\s+/i, 'corollary ');
+api.post('/extract', limited, receivePdfs, async (req, res) => {
+  try {
+    const { mode, include, ocr, refresh, collapse, status, error } = readExtractRequest(req);
+    if (error) return res.status(status).json({ error });
 
-  const re = /^(definition|theorem|lemma|proposition|corollary|axiom|prop\.?|cor\.?)\s+(\d+(?:\.\d+)*)/i;
-  const m = norm.match(re);
-  if (m) {
-    const head = m[1].replace(/^prop\.?$/i, 'proposition').replace(/^cor\.?$/i, 'corollary').toLowerCase();
-    return `${head} ${m[2]}`;
+    const { items, stats, graph } = await extractBatch(uploadedDocuments(req.files), mode, { ...pipelineOptions(req.ip), include, ocr, refresh, collapse });
+    return res.json({ success: true, content: items, stats, graph });
+  } catch (err) {
+    return sendError(res, err, 'Failed to process PDF');
+  } finally {
+    removeUploads(req.files);
   }
+});
 
-  const m2 = norm.match(/\b(\d+(?:\.\d+)*)\b/);
-  if (m2 && fallbackType) {
-    return `${String(fallbackType).toLowerCase().trim()} ${m2[1]}`;
-  }
-  return norm || (fallbackType ? String(fallbackType).toLowerCase().trim() : '');
-}
+// What extracting the uploads would take, before anything is sent to the
+// LLM: pages, characters and estimated tokens and cost per document and in
+// total, plus the caller's quota. Takes the same form fields as /extract.
+api.post('/estimate', estimateLimited, receivePdfs, async (req, res) => {
+  try {
+    const { mode, include, ocr, refresh, status, error } = readExtractRequest(req, { estimate: true });
+    if (error) return res.status(status).json({ error });
 
-function dedupeByNumberedTitle(items) {
-  const best = new Map();
-  for (const it of items) {
-    const key = normalizeNumberedTitle(it.title, it.type);
-    const existing = best.get(key);
-    if (!existing) {
-      best.set(key, it);
-    } else {
-      const currLen = (it.content || '').length;
-      const prevLen = (existing.content || '').length;
-      if (currLen > prevLen) best.set(key, it);
+    const documents = [];
+    for (const doc of uploadedDocuments(req.files)) {
+      documents.push({ fileName: doc.name, ...await estimateDocument(doc, mode, { provider, include, ocr, refresh, maxPages: MAX_PDF_PAGES }) });
     }
+    const usesLlm = mode !== 'rules';
+    const usage = documents.reduce((total, d) => addUsage(total, d), { ...emptyUsage(), estimated: true });
+    return res.json({
+      mode,
+      provider: usesLlm ? provider.name : null,
+      model: usesLlm ? provider.model : null,
+      currency: 'USD',
+      documents,
+      total: {
+        totalPages: documents.reduce((sum, d) => sum + d.totalPages, 0),
+        characters: documents.reduce((sum, d) => sum + d.characters, 0),
+        ocrPages: documents.reduce((sum, d) => sum + d.ocrPages, 0),
+        ...usage,
+        cost: usesLlm ? costOf(usage, provider.name, provider.model) : 0
+      },
+      quota: quota.status(req.ip)
+    });
+  } catch (err) {
+    return sendError(res, err, 'Failed to estimate');
+  } finally {
+    removeUploads(req.files);
   }
-  return Array.from(best.values());
-}
+});
 
-async function extractMathContent(pdfText) {
-  const chunks = chunkText(pdfText, 15000);
-  let all = [];
-
-  for (let i = 0; i < chunks.length; i++) {
-    const prompt = `You are an expert at extracting mathematical content from academic notes.
-
-Extract ALL unique Definitions, Theorems, Lemmas, Propositions, Corollaries, and Axioms.
-
-RULES:
-- Preserve LaTeX EXACTLY (backslashes, $, $$, \\begin{env} ... \\end{env}, etc.).
-- Keep the author’s numbering and titles exactly.
-- Do NOT add, remove, or rewrite any math.
-- No proofs/examples, only the statements.
-- Return JSON with an "items" array of objects: {type,title,content,page}.
-
-Text (chunk ${i + 1}/${chunks.length}):
-"""${chunks[i]}"""`;
-
-    const resp = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      temperature: 0.1,
-      response_format: { type: 'json_object' },
-      messages: [
-        { role: 'system', content: 'Extract unique math statements and preserve LaTeX exactly.' },
-        { role: 'user', content: prompt }
-      ]
-    });
+// Re-runs the failed or partial chunks of a cached LLM-mode extraction, or
+// the ones listed in `chunks`. Returns the document's items, as /api/extract.
+api.post('/extract/rerun', limited, async (req, res) => {
+  const { cacheKey: key, chunks: only } = req.body || {};
+  if (typeof key !== 'string' || (only !== undefined && (!Array.isArray(only) || !only.every(Number.isInteger)))) {
+    return res.status(400).json({ error: 'Request body needs a "cacheKey" and optionally a "chunks" array of chunk numbers.' });
+  }
+  const entry = getCached(key);
+  if (!entry) return res.status(404).json({ error: 'Cache entry not found' });
+  if (!entry.chunks || !entry.pages) return res.status(400).json({ error: 'That extraction has no failed chunks to re-run.' });
+  if (entry.settings.provider !== provider.name || entry.settings.model !== provider.model) {
+    return res.status(409).json({ error: `That extraction used ${entry.settings.provider} (${entry.settings.model}); the server now runs ${provider.name} (${provider.model}).` });
+  }
+  if (!provider.isConfigured()) {
+    return res.status(500).json({ error: `API key for LLM provider "${provider.name}" not set on server.` });
+  }
+  const failed = entry.chunks.filter(c => c.status !== 'ok').map(c => c.chunk);
+  const targets = only ? only.filter(n => failed.includes(n)) : failed;
+  if (!targets.length) return res.status(400).json({ error: 'None of those chunks failed.' });
+
+  try {
+    const { items, stats } = await rerunChunks(entry, targets, { llm: quota.meter(provider, req.ip) });
+    return res.json({ success: true, content: items, stats });
+  } catch (err) {
+    return sendError(res, err, 'Failed to re-run chunks');
+  }
+});
 
-    let chunkItems = [];
-    try {
-      const parsed = JSON.parse(resp.choices?.[0]?.message?.content || '{}');
-      if (Array.isArray(parsed.items)) chunkItems = parsed.items;
-      else if (Array.isArray(parsed)) chunkItems = parsed;
-    } catch (_) { /* ignore bad chunk */ }
+/* ---------- Extraction jobs ---------- */
 
-    all = all.concat(chunkItems);
-    if (i < chunks.length - 1) await new Promise(r => setTimeout(r, 400));
+api.post('/jobs', limited, receivePdfs, (req, res) => {
+  const { mode, include, ocr, refresh, collapse, status, error } = readExtractRequest(req);
+  if (error) {
+    removeUploads(req.files);
+    return res.status(status).json({ error });
   }
-  return dedupeByNumberedTitle(all);
-}
 
+  const files = req.files;
+  const fileName = files.map(f => f.originalname).join(', ');
+  const job = createJob({ fileName }, ctx => extractBatch(uploadedDocuments(files), mode, {
+    ...pipelineOptions(req.ip),
+    include,
+    ocr,
+    refresh,
+    collapse,
+    onChunk: ctx.progress,
+    signal: ctx.signal
+  }).finally(() => removeUploads(files)));
+
+  return res.status(202).json({ success: true, jobId: job.id, status: job.status });
+});
+
+api.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  return res.json(summarize(job));
+});
+
+api.get('/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+
+  const send = ({ event, data }) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send({ event: 'snapshot', data: summarize(job) });
+  if (isFinished(job)) {
+    send({ event: job.status, data: summarize(job) });
+    return res.end();
+  }
+
+  const onUpdate = update => {
+    send(update);
+    if (update.event !== 'progress') res.end();
+  };
+  job.events.on('update', onUpdate);
+  req.on('close', () => job.events.off('update', onUpdate));
+});
+
+api.delete('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (!cancelJob(job)) return res.status(409).json({ error: `Job already ${job.status}` });
+  return res.json({ success: true, jobId: job.id });
+});
+
+/* ---------- Dependency graph ---------- */
+
+// Rebuilds the graph after items were edited. Items without an id get one.
+api.post('/graph', (req, res) => {
+  const { items } = req.body || {};
+  if (!Array.isArray(items) || items.some(it => !it || typeof it !== 'object')) {
+    return res.status(400).json({ error: 'Request body needs an "items" array of objects.' });
+  }
+  const withId = withIds(items);
+  return res.json({ items: withId, graph: buildGraph(withId) });
+});
+
+/* ---------- LaTeX check ---------- */
+
+// Re-checks items after they were edited. `repair: false` only reports errors.
+api.post('/latex/check', (req, res) => {
+  const { items, repair = true } = req.body || {};
+  if (!Array.isArray(items) || items.some(it => !it || typeof it !== 'object')) {
+    return res.status(400).json({ error: 'Request body needs an "items" array of objects.' });
+  }
+  return res.json({ items: checkItems(items, { repair: repair !== false }) });
+});
 
-app.post('/api/extract', upload.single('pdf'), async (req, res) => {
+/* ---------- Server-side PDF export ---------- */
+
+api.post('/render', limited, async (req, res) => {
   try {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    const { items, options = {} } = req.body || {};
+    const error = checkRenderItems(items) || readLayoutOptions(options).error;
+    if (error) return res.status(400).json({ error });
+
+    const pdf = await renderPdf(items, options);
+    const filename = String(options.filename || 'extracted.pdf').replace(/[^\w.-]+/g, '_');
+    res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="${filename}"` });
+    return res.send(pdf);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Failed to render PDF', details: err.message });
+  }
+});
 
-    const data = fs.readFileSync(req.file.path);
-    const parsed = await pdfParse(data);
-    fs.unlinkSync(req.file.path);
+api.post('/export/tex', (req, res) => {
+  const { items, options = {} } = req.body || {};
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'Request body needs a non-empty "items" array.' });
+  }
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ error: 'OpenAI API key not set on server.' });
-    }
+  const filename = String(options.filename || 'extracted.tex').replace(/[^\w.-]+/g, '_');
+  res.set({ 'Content-Type': 'application/x-tex; charset=utf-8', 'Content-Disposition': `attachment; filename="${filename}"` });
+  return res.send(buildTex(items, options));
+});
 
-    const items = await extractMathContent(parsed.text);
-    return res.json({
-      success: true,
-      content: items,
-      stats: { totalPages: parsed.numpages, totalItems: items.length }
-    });
+api.post('/export/anki', limited, async (req, res) => {
+  const { items, options = {} } = req.body || {};
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'Request body needs a non-empty "items" array.' });
+  }
+  const format = options.format || 'tsv';
+  if (!ANKI_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unknown format "${format}". Use one of: ${ANKI_FORMATS.join(', ')}.` });
+  }
+
+  const filename = String(options.filename || `flashcards.${format === 'apkg' ? 'apkg' : 'txt'}`).replace(/[^\w.-]+/g, '_');
+  try {
+    const body = format === 'apkg' ? await buildApkg(items, options) : buildAnkiText(items, options);
+    const type = format === 'apkg' ? 'application/octet-stream' : `text/${format === 'csv' ? 'csv' : 'tab-separated-values'}; charset=utf-8`;
+    res.set({ 'Content-Type': type, 'Content-Disposition': `attachment; filename="${filename}"` });
+    return res.send(body);
   } catch (err) {
     console.error(err);
-    return res.status(500).json({ error: 'Failed to process PDF', details: err.message });
+    return res.status(500).json({ error: 'Failed to build Anki deck', details: err.message });
+  }
+});
+
+/* ---------- Result cache ---------- */
+
+api.get('/cache', (_req, res) => res.json({ entries: listCached() }));
+
+api.delete('/cache', (_req, res) => res.json({ success: true, removed: clearCached() }));
+
+api.delete('/cache/:key', (req, res) => {
+  try {
+    const removed = clearCached(req.params.key);
+    if (!removed) return res.status(404).json({ error: 'Cache entry not found' });
+    return res.json({ success: true, removed });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/* ---------- Sessions ---------- */
+
+api.get('/sessions', (_req, res) => res.json({ sessions: listSessions() }));
+
+api.post('/sessions', (req, res) => {
+  try {
+    return res.status(201).json(createSession(req.body));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+api.get('/sessions/:id', (req, res) => {
+  try {
+    const session = getSession(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    return res.json(session);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+api.put('/sessions/:id', (req, res) => {
+  try {
+    const session = updateSession(req.params.id, req.body);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    return res.json(session);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
 });
 
-app.get('/api/health', (_req, res) => res.json({ status: 'ok' }));
+api.delete('/sessions/:id', (req, res) => {
+  try {
+    if (!deleteSession(req.params.id)) return res.status(404).json({ error: 'Session not found' });
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+api.get('/health', (_req, res) => res.json({ status: 'ok' }));
+
+// The caller's LLM quota in USD: `{ limit, used, remaining, resetAt,
+// currency }`, all null but `used` and `currency` when there is none.
+api.get('/quota', (req, res) => res.json(quota.status(req.ip)));
+
+// LLM spend from the usage log, per day and per document; `from` and `to`
+// are optional ISO dates (YYYY-MM-DD), both inclusive.
+api.get('/usage', (req, res) => {
+  const { from, to } = req.query;
+  const bad = [from, to].find(d => d !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(d));
+  if (bad !== undefined) return res.status(400).json({ error: `"${bad}" is not a date; use YYYY-MM-DD.` });
+  return res.json(summarizeUsage({ from, to }));
+});
+
+api.get('/openapi.json', (_req, res) => res.json(buildOpenApi()));
+
+api.use((req, res) => res.status(404).json({ error: `No API route ${req.method} ${req.baseUrl}${req.path}` }));
+
+app.use('/api/v1', api);
+// The unversioned paths clients used before /api/v1; same routes.
+app.use('/api', api);
+
+// Malformed or oversized JSON bodies, and anything a route let through,
+// answer as JSON like the routes do.
+app.use('/api', (err, _req, res, _next) => {
+  if (err.status >= 400 && err.status < 500) return res.status(err.status).json({ error: err.message });
+  console.error(err);
+  return res.status(500).json({ error: 'Internal server error', details: err.message });
+});
+
+startUploadSweeper();
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  console.log(`LLM provider: ${provider.name} (${provider.model})`);
   console.log(`Serving static files from: ${PUBLIC_DIR}`);
 });
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { buildAnkiText } = require('../lib/anki-export');
+
+const items = [
+  { type: 'theorem', title: 'Theorem 1.1', content: 'If $a < b$ then\n$$b > a.$$' },
+  { type: 'definition', title: 'Group', content: 'A set with "one" operation, associative.' }
+];
+
+test('buildAnkiText writes the headers and one HTML note per item', () => {
+  assert.equal(buildAnkiText(items), [
+    '#separator:tab',
+    '#html:true',
+    '#deck:Theorem2PDF',
+    '#tags column:3',
+    'Theorem 1.1\tIf \\(a &lt; b\\) then<br>\\[b &gt; a.\\]\ttheorem',
+    'Definition: Group\t"A set with ""one"" operation, associative."\tdefinition',
+    ''
+  ].join('\n'));
+});
+
+test('buildAnkiText quotes CSV fields and filters by type', () => {
+  const lines = buildAnkiText(items, { format: 'csv', types: ['Definition'] }).split('\n');
+  assert.equal(lines[0], '#separator:comma');
+  assert.deepEqual(lines.slice(4), ['Definition: Group,"A set with ""one"" operation, associative.",definition', '']);
+});
+
+test('buildAnkiText keeps the deck name on its header line', () => {
+  const header = buildAnkiText([], { deckName: 'Algebra\n#html:false\r\u0007 I\t' }).split('\n');
+  assert.deepEqual(header, ['#separator:tab', '#html:true', '#deck:Algebra #html:false I', '#tags column:3', '']);
+  assert.match(buildAnkiText([], { deckName: '\n\n' }), /^#deck:Theorem2PDF$/m);
+});
@@ -0,0 +1,92 @@
+// Small chunks, so each page of the notes is a request of its own.
+process.env.CHUNK_TOKENS = '60';
+process.env.CHUNK_OVERLAP_TOKENS = '0';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { makePdf, pdfDocument } = require('./helpers');
+const { createProvider } = require('../lib/providers');
+const { extractDocument, rerunChunks } = require('../lib/pipeline');
+const { getCached } = require('../lib/cache');
+
+const mock = createProvider('mock');
+
+const PROSE = 'These notes follow the lectures closely and add a few worked examples for the exercise classes of the week.';
+
+function notes(tag) {
+  return makePdf([
+    ['Theorem 1.1. Every group has a unique identity element.', '', `Week 1: ${tag}`, PROSE],
+    ['Lemma 2.1. If ab = ac in a group then b = c.', '', PROSE],
+    ['Corollary 3.1. Inverses in a group are unique.', '', PROSE]
+  ]);
+}
+
+// Enough statements for two hybrid cleanup batches; the last is in the second.
+function manyStatements(tag) {
+  const lines = [`Exercises: ${tag}`, ''];
+  for (let i = 1; i <= 21; i++) lines.push(`Lemma 1.${i}. Statement number ${i} holds${i === 21 ? ' in the second batch' : ''}.`, '');
+  return makePdf([lines]);
+}
+
+// The mock provider, failing every request whose prompt contains `marker`
+// (every request when it is empty) until `fixed` is set.
+function failingOn(marker) {
+  const provider = {
+    ...mock,
+    fixed: false,
+    async complete(messages, options) {
+      if (!provider.fixed && messages.some(m => m.content.includes(marker))) throw new Error('Model overloaded');
+      return mock.complete(messages, options);
+    }
+  };
+  return provider;
+}
+
+const titles = items => items.map(it => it.title);
+
+test('a failed chunk is reported and the others are kept', async () => {
+  const llm = failingOn('Lemma 2.1');
+  const { items, stats } = await extractDocument(pdfDocument('notes.pdf', notes('failed')), 'llm', { provider: mock, llm });
+  assert.equal(stats.totalChunks, 3);
+  assert.deepEqual(titles(items), ['Theorem 1.1', 'Corollary 3.1']);
+  assert.deepEqual(stats.failedChunks, [{ chunk: 2, pageRange: [2, 2], status: 'failed', errors: ['Model overloaded'] }]);
+  // The failed chunk still counts its request.
+  assert.equal(stats.usage.chunks.length, 3);
+});
+
+test('re-running a failed chunk merges its items and adds up the usage', async () => {
+  const llm = failingOn('Lemma 2.1');
+  const { stats } = await extractDocument(pdfDocument('notes.pdf', notes('rerun')), 'llm', { provider: mock, llm });
+  const entry = getCached(stats.cacheKey);
+  assert.ok(entry.pages && entry.chunks, 'the cache entry keeps what a re-run needs');
+
+  llm.fixed = true;
+  const rerun = await rerunChunks(entry, [2], { llm });
+  assert.deepEqual(titles(rerun.items), ['Theorem 1.1', 'Lemma 2.1', 'Corollary 3.1']);
+  assert.deepEqual(rerun.stats.failedChunks, []);
+  assert.equal(rerun.stats.usage.requests, stats.usage.requests + 1);
+
+  const updated = getCached(stats.cacheKey);
+  assert.deepEqual(titles(updated.items), ['Theorem 1.1', 'Lemma 2.1', 'Corollary 3.1']);
+  assert.equal(updated.pages, undefined, 'a result with nothing left to re-run keeps no pages');
+});
+
+test('an extraction fails when every chunk fails', async () => {
+  await assert.rejects(
+    extractDocument(pdfDocument('notes.pdf', notes('all failed')), 'llm', { provider: mock, llm: failingOn('') }),
+    /Every LLM request failed: Model overloaded/
+  );
+});
+
+test('a hybrid result with a failed batch is not cached', async () => {
+  const data = manyStatements('hybrid');
+  const llm = failingOn('in the second batch');
+  const first = await extractDocument(pdfDocument('notes.pdf', data), 'hybrid', { provider: mock, llm });
+  assert.equal(first.stats.totalChunks, 2);
+  assert.equal(first.stats.failedChunks.length, 1);
+  // The failed batch keeps the text the rules found.
+  assert.equal(first.items.length, 21);
+  assert.equal(first.stats.cacheKey, undefined);
+  const second = await extractDocument(pdfDocument('notes.pdf', data), 'hybrid', { provider: mock, llm });
+  assert.equal(second.stats.cached, false);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+require('./helpers');
+const { numberOr } = require('../lib/config');
+
+// `expression` evaluated in a fresh process with `env` added, as JSON.
+function loaded(expression, env) {
+  const out = execFileSync(process.execPath, ['-e', `console.log(JSON.stringify(${expression}))`], {
+    cwd: `${__dirname}/..`,
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+  return JSON.parse(out.toString());
+}
+
+test('numberOr keeps 0 and falls back for unset or unreadable values', () => {
+  assert.equal(numberOr('0', 5), 0);
+  assert.equal(numberOr('2.5', 5), 2.5);
+  assert.equal(numberOr(undefined, 5), 5);
+  assert.equal(numberOr('', 5), 5);
+  assert.equal(numberOr('many', 5), 5);
+});
+
+test('upload limits of 0 mean no limit', () => {
+  const limits = 'require("./lib/uploads")';
+  assert.deepEqual(loaded(`(({ MAX_UPLOAD_FILES, MAX_UPLOAD_MB, MAX_PDF_PAGES }) => [MAX_UPLOAD_FILES, MAX_UPLOAD_MB, MAX_PDF_PAGES])(${limits})`, {
+    MAX_UPLOAD_FILES: '0', MAX_UPLOAD_MB: '0', MAX_PDF_PAGES: '0'
+  }), [0, 0, 0]);
+  assert.deepEqual(loaded(`require("./lib/uploads").MAX_PDF_PAGES`, { MAX_PDF_PAGES: '' }), 500);
+});
+
+test('LLM_FIX_ATTEMPTS=0 sends no reply back', () => {
+  assert.equal(loaded('require("./lib/extract").LLM_FIX_ATTEMPTS', { LLM_FIX_ATTEMPTS: '0' }), 0);
+});
+
+test('FIDELITY_MIN_SCORE=0 flags no item', () => {
+  assert.equal(loaded('require("./lib/fidelity").FIDELITY_MIN_SCORE', { FIDELITY_MIN_SCORE: '0' }), 0);
+});
+
+test('OCR settings keep a meaningful 0 and refuse a scale of 0', () => {
+  const settings = 'require("./lib/ocr")';
+  assert.equal(loaded(`${settings}.OCR_MIN_CONFIDENCE`, { OCR_MIN_CONFIDENCE: '0' }), 0);
+  assert.equal(loaded(`${settings}.OCR_SCALE`, { OCR_SCALE: '0' }), 3);
+  assert.equal(loaded(`${settings}.OCR_SCALE`, { OCR_SCALE: '2' }), 2);
+});
+
+test('JOB_TTL_MS keeps its default unless it is above 0', () => {
+  assert.equal(loaded('require("./lib/jobs").JOB_TTL_MS', { JOB_TTL_MS: '0' }), 3600000);
+  assert.equal(loaded('require("./lib/jobs").JOB_TTL_MS', { JOB_TTL_MS: '5000' }), 5000);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { dedupeByNumberedTitle, mergeByNumberedTitle, linkChildren } = require('../lib/extract');
+
+const item = (type, title, content, page, source = 'notes.pdf') => ({ type, title, content, page, source });
+
+test('numbered statements are deduped by their number, keeping the longer copy', () => {
+  const kept = dedupeByNumberedTitle([
+    item('theorem', 'Theorem 1.1', 'Every group has an identity.', 1),
+    item('theorem', 'Thm 1.1', 'Every group has a unique identity.', 1, 'other.pdf'),
+    item('theorem', 'Theorem 1.1.', 'Every group has a unique identity element.', 2)
+  ]);
+  assert.deepEqual(kept.map(it => [it.source, it.content]), [
+    ['notes.pdf', 'Every group has a unique identity element.'],
+    ['other.pdf', 'Every group has a unique identity.']
+  ]);
+});
+
+test('items without a number are never merged with different ones', () => {
+  const kept = dedupeByNumberedTitle([
+    item('theorem', '', 'Every group has an identity.', 1),
+    item('theorem', '', 'Inverses are unique.', 1),
+    item('theorem', 'Theorem (Lagrange)', 'The order of a subgroup divides the order of the group.', 2),
+    item('theorem', 'Theorem (Cauchy)', 'A prime dividing the order has an element of that order.', 2),
+    item('proof', '', 'Suppose e and f are identities.', 3),
+    item('proof', '', 'Multiply by the inverse.', 3)
+  ]);
+  assert.equal(kept.length, 6);
+});
+
+test('an unnumbered item repeated on the same page is kept once', () => {
+  const kept = dedupeByNumberedTitle([
+    item('theorem', '', 'Every group has an identity.', 1),
+    item('theorem', '', 'Every  group has an identity.', 1),
+    item('theorem', '', 'Every group has an identity.', 4)
+  ]);
+  assert.deepEqual(kept.map(it => it.page), [1, 4]);
+});
+
+test('halves of an unnumbered statement from overlapping chunks are joined', () => {
+  const whole = 'Every finite group of prime order is cyclic, generated by any element other than the identity.';
+  const merged = mergeByNumberedTitle([
+    item('theorem', '', 'Every finite group of prime order is cyclic, generated by', 3),
+    item('theorem', '', 'of prime order is cyclic, generated by any element other than the identity.', 4),
+    item('theorem', '', 'Subgroups of cyclic groups are cyclic.', 4),
+    item('theorem', '', whole, 3)
+  ]);
+  assert.deepEqual(merged.map(it => [it.content, it.page]), [
+    [whole, 3],
+    ['Subgroups of cyclic groups are cyclic.', 4]
+  ]);
+});
+
+test('unnumbered statements far apart are not joined', () => {
+  const merged = mergeByNumberedTitle([
+    item('theorem', '', 'Every finite group of prime order is cyclic.', 1),
+    item('theorem', '', 'Every finite group of prime order is cyclic.', 5)
+  ]);
+  assert.equal(merged.length, 2);
+});
+
+test('linked items find unnumbered parents, by name or by position', () => {
+  const linked = linkChildren([
+    item('theorem', 'Theorem (Lagrange)', 'The order of a subgroup divides the order of the group.', 1),
+    item('theorem', '', 'Every finite group of prime order is cyclic, generated by', 2),
+    item('proof', 'Proof', 'Take any element other than the identity.', 2),
+    item('theorem', '', 'of prime order is cyclic, generated by any element other than the identity.', 2),
+    { ...item('proof', 'Proof', 'Count the cosets.', 3), parent: 'Theorem (Lagrange)' }
+  ]);
+  assert.equal(linked.length, 2, 'no orphans');
+  assert.deepEqual(linked[0].children.map(c => c.content), ['Count the cosets.']);
+  assert.match(linked[1].content, /^Every finite group .* identity\.$/);
+  assert.deepEqual(linked[1].children.map(c => c.content), ['Take any element other than the identity.']);
+});
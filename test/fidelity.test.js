@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { FIDELITY_MIN_SCORE, normalize, anchor, alignInWindow, checkFidelity } = require('../lib/fidelity');
+
+const raw = String.raw;
+
+const pages = [
+  { page: 1, text: 'Introduction\nWe study groups and their subgroups in some detail here.' },
+  { page: 2, text: 'Theorem 2.3. Every finite group of prime order is cyclic.\nProof. Take any element other than the identity.' }
+];
+const statementLine = 'Theorem 2.3. Every finite group of prime order is cyclic.';
+
+test('normalize keeps letters, maps Greek macros and drops other markup', () => {
+  const text = raw`Let $\alpha \in G$, \label{x} see \ref{y}.`;
+  const { chars, offsets } = normalize(text);
+  assert.equal(chars, 'letαgsee');
+  assert.equal(offsets.length, chars.length);
+  assert.equal(text[offsets[3]], '\\');
+  assert.equal(text[offsets[4]], 'G');
+  assert.deepEqual(normalize(null), { chars: '', offsets: [] });
+});
+
+test('anchor finds where the item starts in the source', () => {
+  const item = 'thequickbrownfoxjumpsoverthelazydog';
+  assert.equal(anchor(item, 'q'.repeat(64) + item + 'z'.repeat(40)), 64);
+  assert.equal(anchor('nothinghereatallreally', 'q'.repeat(64) + item), null);
+});
+
+test('alignInWindow matches the whole item against any stretch of the window', () => {
+  assert.deepEqual(alignInWindow('abc', 'xxabcxx'), { distance: 0, start: 2, end: 5 });
+  assert.deepEqual(alignInWindow('abcde', 'xxabzdexx'), { distance: 1, start: 2, end: 7 });
+  assert.equal(alignInWindow('abc', 'zz').distance, 3);
+});
+
+test('checkFidelity scores a verbatim item 1 without source text', () => {
+  const [item] = checkFidelity([{ title: 'Theorem 2.3', page: 2, content: 'Every finite group of prime order is cyclic.' }], pages);
+  assert.deepEqual(item.fidelity, { score: 1, low: false, page: 2, start: 84, end: 127, source: null });
+  const joined = pages.map(p => p.text).join('\n\n');
+  assert.equal(joined.slice(item.fidelity.start, item.fidelity.end), 'Every finite group of prime order is cyclic');
+});
+
+test('checkFidelity flags a changed statement below FIDELITY_MIN_SCORE with its source line', () => {
+  const [item] = checkFidelity([{ title: 'Theorem 2.3', page: 2, content: 'Every finite abelian group of composite order is not cyclic.' }], pages);
+  assert.ok(item.fidelity.score < FIDELITY_MIN_SCORE, `score ${item.fidelity.score}`);
+  assert.equal(item.fidelity.low, true);
+  assert.equal(item.fidelity.page, 2);
+  assert.equal(item.fidelity.source, statementLine);
+});
+
+test('checkFidelity keeps a small change above the threshold', () => {
+  const [item] = checkFidelity([{ title: 'Theorem 2.3', page: 2, content: 'Every finite group of prime order is abelian.' }], pages);
+  assert.ok(item.fidelity.score >= FIDELITY_MIN_SCORE && item.fidelity.score < 1, `score ${item.fidelity.score}`);
+  assert.equal(item.fidelity.low, false);
+  assert.equal(item.fidelity.source, null);
+});
+
+test('checkFidelity compares a paraphrase with the text after its heading', () => {
+  // The page is wrong on purpose: the heading, not the page, finds the statement.
+  const [item] = checkFidelity([{ title: 'Theorem 2.3', page: 1, content: 'Each finite grp with p elements: cyclic.' }], pages);
+  assert.equal(item.fidelity.low, true);
+  assert.equal(item.fidelity.page, 2);
+  assert.equal(item.fidelity.source, statementLine);
+});
+
+test('checkFidelity falls back to the whole page without a heading', () => {
+  const [item] = checkFidelity([{ title: 'Claim', page: 1, content: 'We studied groups and subgroupz at length.' }], pages);
+  assert.equal(item.fidelity.low, true);
+  assert.equal(item.fidelity.page, 1);
+  assert.equal(item.fidelity.source, 'We study groups and their subgroups in some detail here.');
+
+  const [lost] = checkFidelity([{ title: 'Claim', page: 9, content: 'Totally unrelated words.' }], pages);
+  assert.deepEqual(lost.fidelity, { score: 0, low: true, page: null, start: null, end: null, source: null });
+});
+
+test('checkFidelity checks children, replaces old scores and skips empty items', () => {
+  const [parent, empty] = checkFidelity([
+    {
+      title: 'Theorem 2.3',
+      page: 2,
+      content: 'Every finite group of prime order is cyclic.',
+      fidelity: { score: 0, low: true },
+      children: [{ title: 'Proof', page: 2, content: 'Take any element other than the identity.' }]
+    },
+    { title: 'Remark', page: 1, content: raw`$\to$`, fidelity: { score: 0.1 } }
+  ], pages);
+  assert.equal(parent.fidelity.score, 1);
+  assert.equal(parent.children[0].fidelity.score, 1);
+  assert.equal(parent.children[0].fidelity.page, 2);
+  assert.equal('fidelity' in empty, false);
+});
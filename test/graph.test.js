@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { withIds, findReferences, definedTerms, buildGraph } = require('../lib/graph');
+
+const edgesOf = items => buildGraph(withIds(items)).edges;
+
+test('findReferences splits plural and listed references', () => {
+  assert.deepEqual(findReferences('By Lemmas 4.1 and 4.2 and Props. 1.1, 1.2 & 1.3.').map(r => r.key), [
+    'lemma 4.1', 'lemma 4.2', 'proposition 1.1', 'proposition 1.2', 'proposition 1.3'
+  ]);
+  assert.deepEqual(findReferences('see Corollaries 5 and 6'), [
+    { key: 'corollary 5', label: 'Corollary 5' },
+    { key: 'corollary 6', label: 'Corollary 6' }
+  ]);
+});
+
+test('findReferences reads Theorem 3.2(b) as Theorem 3.2', () => {
+  assert.deepEqual(findReferences('Theorem 3.2(b) applies.'), [{ key: 'theorem 3.2', label: 'Theorem 3.2' }]);
+  assert.deepEqual(findReferences('a theorem of Sylow'), []);
+  assert.deepEqual(findReferences(null), []);
+});
+
+test('withIds keeps existing ids and skips taken ones', () => {
+  assert.deepEqual(withIds([{ id: 'item-1' }, {}, { id: 'x' }, {}]).map(it => it.id), ['item-1', 'item-2', 'x', 'item-3']);
+});
+
+test('references resolve within their own source in a batch', () => {
+  const edges = edgesOf([
+    { id: 'a-lemma', source: 'a.pdf', type: 'lemma', title: 'Lemma 1.1', content: 'x' },
+    { id: 'b-lemma', source: 'b.pdf', type: 'lemma', title: 'Lemma 1.1', content: 'y' },
+    { id: 'a-thm', source: 'a.pdf', type: 'theorem', title: 'Theorem 1.2', content: 'By Lemma 1.1 we are done.' },
+    { id: 'b-thm', source: 'b.pdf', type: 'theorem', title: 'Theorem 1.2', content: 'Immediate.', children: [{ type: 'proof', content: 'Apply Lemma 1.1.' }] },
+    { id: 'c-thm', source: 'c.pdf', type: 'theorem', title: 'Theorem 1.3', content: 'By Lemma 1.1 and Theorem 9.9.' }
+  ]);
+  assert.deepEqual(edges, [
+    { from: 'a-thm', to: 'a-lemma', kind: 'reference', label: 'Lemma 1.1' },
+    { from: 'b-thm', to: 'b-lemma', kind: 'reference', label: 'Lemma 1.1' }
+  ]);
+});
+
+test('a reference resolves in another source when only one item has the number', () => {
+  const edges = edgesOf([
+    { id: 'lemma', source: 'a.pdf', type: 'lemma', title: 'Lemma 2.4', content: 'x' },
+    { id: 'thm', source: 'b.pdf', type: 'theorem', title: 'Theorem 1', content: 'See Lemma 2.4.' }
+  ]);
+  assert.deepEqual(edges, [{ from: 'thm', to: 'lemma', kind: 'reference', label: 'Lemma 2.4' }]);
+});
+
+test('definedTerms reads the title, emphasis and "is called"', () => {
+  assert.deepEqual(definedTerms({
+    type: 'Definition',
+    title: 'Definition 2.1 (Normal subgroup)',
+    content: String.raw`A subgroup is called \emph{characteristic} if it is fixed. Such a group is called a simple group.`
+  }), ['normal subgroup', 'characteristic', 'simple group']);
+  assert.deepEqual(definedTerms({ type: 'theorem', title: 'Theorem 1 (Normal subgroup)', content: '' }), []);
+});
+
+test('terms link later statements to their definition, outside math only', () => {
+  const edges = edgesOf([
+    { id: 'early', type: 'theorem', title: 'Theorem 1.1', content: 'Every normal subgroup is a subgroup.' },
+    { id: 'def', type: 'definition', title: 'Definition 1.2 (Normal subgroup)', content: 'x' },
+    { id: 'plural', type: 'lemma', title: 'Lemma 1.3', content: 'Kernels are normal subgroups.' },
+    { id: 'math', type: 'lemma', title: 'Lemma 1.4', content: String.raw`$\text{normal subgroup}$ is notation.` },
+    { id: 'both', type: 'lemma', title: 'Lemma 1.5', content: 'By Definition 1.2, every normal subgroup is one.' }
+  ]);
+  assert.deepEqual(edges, [
+    { from: 'plural', to: 'def', kind: 'term', label: 'normal subgroup' },
+    { from: 'both', to: 'def', kind: 'reference', label: 'Definition 1.2' }
+  ]);
+});
+
+test('buildGraph lists nodes with their source and defined terms', () => {
+  const { nodes } = buildGraph(withIds([
+    { source: 'a.pdf', type: 'definition', title: 'Definition 1 (Coset)', content: 'x' },
+    { type: 'theorem', title: 'Theorem 2', content: 'y' }
+  ]));
+  assert.deepEqual(nodes, [
+    { id: 'item-1', type: 'definition', title: 'Definition 1 (Coset)', source: 'a.pdf', terms: ['coset'] },
+    { id: 'item-2', type: 'theorem', title: 'Theorem 2' }
+  ]);
+});
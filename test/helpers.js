@@ -0,0 +1,94 @@
+// Shared setup for the tests: results, usage, uploads, OCR data and sessions
+// go to a fresh temporary folder, and PDFs are written on the fly. Require
+// this before any module under lib/, which read their settings when loaded.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'theorem2pdf-test-'));
+process.env.CACHE_DIR = path.join(TMP_DIR, 'cache');
+process.env.USAGE_LOG = path.join(TMP_DIR, 'usage.jsonl');
+process.env.UPLOAD_DIR = path.join(TMP_DIR, 'uploads');
+process.env.OCR_CACHE_DIR = path.join(TMP_DIR, 'tesseract');
+process.env.SESSIONS_DIR = path.join(TMP_DIR, 'sessions');
+process.env.LLM_MAX_RETRIES = '0';
+process.on('exit', () => fs.rmSync(TMP_DIR, { recursive: true, force: true }));
+
+// Writes a PDF from page content streams. `resources(i)` gives page i's
+// resource dictionary and `extra` any objects it refers to, numbered from 4.
+function writePdf(streams, { resources = () => '<< /Font << /F1 3 0 R >> >>', extra = [] } = {}) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    null,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    ...extra
+  ];
+  const kids = streams.map((stream, i) => {
+    const content = objects.push(null);
+    objects[content - 1] = Buffer.concat([
+      Buffer.from(`<< /Length ${stream.length} >>\nstream\n`),
+      Buffer.from(stream),
+      Buffer.from('\nendstream')
+    ]);
+    const page = objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources ${resources(i)} /Contents ${content} 0 R >>`);
+    return `${page} 0 R`;
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  // pdf-parse's pdf.js misreads files of less than about 3 KB, so a comment
+  // pads them.
+  const parts = [Buffer.from(`%PDF-1.4\n%${' '.repeat(4096)}\n`)];
+  const offsets = [];
+  let length = parts[0].length;
+  objects.forEach((body, i) => {
+    const obj = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), Buffer.from(body), Buffer.from('\nendobj\n')]);
+    offsets.push(length);
+    parts.push(obj);
+    length += obj.length;
+  });
+  const xref = offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  parts.push(Buffer.from(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${xref}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`));
+  return Buffer.concat(parts);
+}
+
+function escapeText(line) {
+  return line.replace(/[\\()]/g, c => `\\${c}`);
+}
+
+// A text PDF with one page per entry of `pages`, each a list of lines. An
+// empty list makes a blank page.
+function makePdf(pages) {
+  return writePdf(pages.map(lines => {
+    const shown = lines.map(line => `(${escapeText(line)}) Tj T*`).join('\n');
+    return `BT /F1 11 Tf 14 TL 50 790 Td\n${shown}\nET`;
+  }));
+}
+
+// A PDF whose only page is a picture of `lines`, as a scanner makes it.
+function makeScannedPdf(lines) {
+  const { createCanvas } = require('@napi-rs/canvas');
+  const canvas = createCanvas(1240, 1754);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#000000';
+  ctx.font = '40px sans-serif';
+  lines.forEach((line, i) => ctx.fillText(line, 100, 150 + i * 70));
+  const jpeg = canvas.toBuffer('image/jpeg');
+  const image = Buffer.concat([
+    Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`),
+    jpeg,
+    Buffer.from('\nendstream')
+  ]);
+  return writePdf(['q 595 0 0 842 0 0 cm /Im1 Do Q'], {
+    resources: () => '<< /XObject << /Im1 4 0 R >> >>',
+    extra: [image]
+  });
+}
+
+function pdfDocument(name, data) {
+  return { name, load: () => data };
+}
+
+module.exports = { TMP_DIR, makePdf, makeScannedPdf, pdfDocument };
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { splitMath, fixDoubledBackslashes, balanceEnvironments, balanceBraces, checkLatex, checkItems } = require('../lib/latex-check');
+
+const raw = String.raw;
+
+test('splitMath finds every kind of math delimiter', () => {
+  assert.deepEqual(splitMath(raw`Costs \$5: $a$, \(b\), $$c$$ and \[d\].`), [
+    { text: raw`Costs \$5: ` },
+    { open: '$', body: 'a', close: '$', display: false },
+    { text: ', ' },
+    { open: raw`\(`, body: 'b', close: raw`\)`, display: false },
+    { text: ', ' },
+    { open: '$$', body: 'c', close: '$$', display: true },
+    { text: ' and ' },
+    { open: raw`\[`, body: 'd', close: raw`\]`, display: true },
+    { text: '.' }
+  ]);
+});
+
+test('splitMath keeps nested environments in one part', () => {
+  const env = raw`\begin{align} a &= \begin{pmatrix} 1 \end{pmatrix} \end{align}`;
+  assert.deepEqual(splitMath(`So ${env} holds.`), [
+    { text: 'So ' },
+    { open: '', body: env, close: '', display: true },
+    { text: ' holds.' }
+  ]);
+});
+
+test('splitMath ends unclosed math before the prose or at the paragraph', () => {
+  assert.deepEqual(splitMath(raw`Let $x \in G for all groups.`)[1], { open: '$', body: raw`x \in G`, close: null, display: false, expected: '$' });
+  assert.deepEqual(splitMath('Let $x + y\n\nNext paragraph $z$.')[1], { open: '$', body: 'x + y', close: null, display: false, expected: '$' });
+});
+
+test('balanceEnvironments closes, renames and drops \\end{}s', () => {
+  const repairs = [];
+  assert.equal(balanceEnvironments(raw`\begin{align} a \end{aligned}`, repairs), raw`\begin{align} a \end{align}`);
+  assert.equal(balanceEnvironments(raw`\begin{cases} a \begin{matrix} b \end{cases}`, repairs), raw`\begin{cases} a \begin{matrix} b \end{matrix}\end{cases}`);
+  assert.equal(balanceEnvironments(raw`a \end{array} b`, repairs), raw`a  b`);
+  assert.equal(balanceEnvironments(raw`\begin{pmatrix} 1`, repairs), raw`\begin{pmatrix} 1\end{pmatrix}`);
+  assert.deepEqual(repairs, [
+    raw`Changed \end{aligned} to \end{align}`,
+    raw`Closed \begin{matrix}`,
+    raw`Removed \end{array} without a \begin{array}`,
+    raw`Closed \begin{pmatrix}`
+  ]);
+});
+
+test('balanceBraces drops unmatched } and closes unmatched {', () => {
+  const repairs = [];
+  assert.equal(balanceBraces(raw`a} + \{ \frac{1}{2`, repairs), raw`a + \{ \frac{1}{2}`);
+  assert.deepEqual(repairs, ['Removed 1 unmatched }', 'Closed 1 unmatched {']);
+  assert.equal(balanceBraces(raw`\frac{1}{2}`, []), raw`\frac{1}{2}`);
+});
+
+test('doubled backslashes are undone for known macros outside environments', () => {
+  const repairs = [];
+  assert.equal(fixDoubledBackslashes(raw`\\alpha + \\foo`, repairs), raw`\alpha + \\foo`);
+  assert.deepEqual(repairs, [raw`Replaced \\alpha with \alpha`]);
+  const rows = raw`\begin{aligned} a \\sin x \end{aligned}`;
+  assert.equal(fixDoubledBackslashes(rows, []), rows);
+});
+
+test('checkLatex repairs math but leaves doubled backslashes in text', () => {
+  const { text, repairs, errors } = checkLatex(raw`Line\\textbf{x} and $\\beta}$.`);
+  assert.equal(text, raw`Line\\textbf{x} and $\beta$.`);
+  assert.deepEqual(repairs, [raw`Replaced \\beta with \beta`, 'Removed 1 unmatched }']);
+  assert.deepEqual(errors, []);
+});
+
+test('a missing $ is added where the formula clearly ends', () => {
+  const { text, repairs, errors } = checkLatex(raw`Let $x \in G for every group G.`);
+  assert.equal(text, raw`Let $x \in G$ for every group G.`);
+  assert.deepEqual(repairs, ['Added the missing closing $']);
+  assert.deepEqual(errors, []);
+});
+
+test('a missing $ is only reported when the end is a guess or does not parse', () => {
+  const unclear = raw`Let $x\in G be a group element.`;
+  assert.deepEqual(checkLatex(unclear), {
+    text: unclear,
+    repairs: [],
+    errors: [{ message: 'Missing closing $', tex: raw`$x\in G be a` }]
+  });
+  const broken = raw`Take $\foo{x} for every x.`;
+  assert.deepEqual(checkLatex(broken).text, broken);
+  assert.deepEqual(checkLatex(broken).repairs, []);
+});
+
+test('without repair, errors are reported and nothing changes', () => {
+  const input = raw`$\frac{1}{2$ and $\undefinedmacro$`;
+  const { text, repairs, errors } = checkLatex(input, { repair: false });
+  assert.equal(text, input);
+  assert.deepEqual(repairs, []);
+  assert.equal(errors.length, 2);
+  assert.match(errors[1].message, /Undefined control sequence \\undefinedmacro/);
+});
+
+test('math that swallowed a sentence is flagged', () => {
+  const { errors } = checkLatex(raw`$x + y for every element$`);
+  assert.deepEqual(errors.map(e => e.message), ['Text inside math; a $ may be missing']);
+});
+
+test('checkItems notes repairs and checks linked children', () => {
+  const [item] = checkItems([{ content: '$a}$', latex: { stale: true }, children: [{ content: 'fine $b$' }] }]);
+  assert.equal(item.content, '$a$');
+  assert.deepEqual(item.latex, { repairs: ['Removed 1 unmatched }'], errors: [] });
+  assert.deepEqual(item.children, [{ content: 'fine $b$' }]);
+});
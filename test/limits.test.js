@@ -0,0 +1,123 @@
+// $1 per thousand tokens sent and $2 per thousand received, so costs are
+// easy to follow.
+process.env.LLM_PRICES = JSON.stringify({ 'test/test': { input: 1000, output: 2000 }, 'test/dearer': { input: 4000, output: 8000 } });
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { makePdf, pdfDocument } = require('./helpers');
+const { createProvider } = require('../lib/providers');
+const { QuotaError, rateLimit, createQuota } = require('../lib/limits');
+const { extractDocument } = require('../lib/pipeline');
+
+const mock = createProvider('mock');
+const messages = [{ role: 'user', content: 'x'.repeat(400) }];
+
+// A provider whose every request reports `usage`, or nothing when it is null.
+function reporting(usage, model = 'test') {
+  return {
+    name: 'test',
+    model,
+    requests: 0,
+    async complete(_messages, { onUsage } = {}) {
+      this.requests++;
+      if (usage && onUsage) onUsage(usage);
+      return '{"items":[]}';
+    }
+  };
+}
+
+test('without a limit the quota never runs out', async () => {
+  const quota = createQuota({ limit: 0 });
+  assert.deepEqual(quota.status('a'), { limit: null, used: 0, remaining: null, resetAt: null, currency: 'USD' });
+  const provider = reporting({ promptTokens: 1e6, completionTokens: 1e6 });
+  assert.equal(quota.meter(provider, 'a'), provider);
+  assert.doesNotThrow(() => quota.check('a', { promptTokens: 1e9, completionTokens: 0 }, provider));
+});
+
+test('requests are charged what the usage the provider reports costs', async () => {
+  const quota = createQuota({ limit: 1 });
+  const seen = [];
+  await quota.meter(reporting({ promptTokens: 100, completionTokens: 50 }), 'a').complete(messages, { onUsage: u => seen.push(u) });
+  assert.equal(quota.status('a').used, 0.2);
+  assert.equal(quota.status('a').remaining, 0.8);
+  assert.equal(quota.status('b').used, 0, 'clients are counted apart');
+  assert.deepEqual(seen, [{ promptTokens: 100, completionTokens: 50 }], 'the caller still sees the usage');
+});
+
+test('requests without reported usage are charged an estimate', async () => {
+  const quota = createQuota({ limit: 1 });
+  await quota.meter(reporting(null), 'a').complete(messages);
+  // 400 characters sent and a 12-character reply, at 4 characters a token:
+  // 100 tokens at $1 and 3 at $2 a thousand.
+  assert.equal(quota.status('a').used, 0.106);
+});
+
+test('the same usage costs more of the quota with a dearer model', async () => {
+  const quota = createQuota({ limit: 1 });
+  const usage = { promptTokens: 100, completionTokens: 50 };
+  await quota.meter(reporting(usage), 'a').complete(messages);
+  await quota.meter(reporting(usage, 'dearer'), 'b').complete(messages);
+  assert.equal(quota.status('a').used, 0.2);
+  assert.equal(quota.status('b').used, 0.8);
+});
+
+test('a model without a price cannot be metered', async () => {
+  const quota = createQuota({ limit: 1 });
+  await assert.rejects(quota.meter(reporting(null, 'unpriced'), 'a').complete(messages), /needs a price for test \(unpriced\)/);
+});
+
+test('a used-up quota refuses the next request', async () => {
+  const quota = createQuota({ limit: 0.2 });
+  const provider = reporting({ promptTokens: 150, completionTokens: 50 });
+  const metered = quota.meter(provider, 'a');
+  await metered.complete(messages);
+  await assert.rejects(metered.complete(messages), err => err instanceof QuotaError && err.status === 429 && err.retryAfterMs > 0);
+  assert.equal(provider.requests, 1);
+});
+
+test('a document larger than what is left is refused before any request', async () => {
+  const quota = createQuota({ limit: 0.05 });
+  const llm = reporting({ promptTokens: 1, completionTokens: 1 });
+  const data = makePdf([['Theorem 1.1. Every group has a unique identity element, which we call e.']]);
+  await assert.rejects(
+    extractDocument(pdfDocument('notes.pdf', data), 'llm', {
+      provider: mock,
+      llm,
+      beforeLlm: (_parsed, name, estimate) => quota.check('a', estimate, llm, `"${name}"`)
+    }),
+    { name: 'QuotaError', message: /"notes.pdf" would cost about \$\d+\.\d\d and \$0\.05 of the \$0\.05 allowed is left/ }
+  );
+  assert.equal(llm.requests, 0);
+});
+
+test('the rate limit answers 429 with Retry-After beyond its maximum', () => {
+  const limited = rateLimit({ max: 2, windowMs: 60000 });
+  const call = ip => {
+    const res = {
+      headers: {},
+      statusCode: 200,
+      set(name, value) {
+        Object.assign(this.headers, typeof name === 'object' ? name : { [name]: value });
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+    let passed = false;
+    limited({ ip }, res, () => { passed = true; });
+    return { passed, res };
+  };
+  assert.equal(call('a').passed, true);
+  assert.equal(call('a').res.headers['RateLimit-Remaining'], '0');
+  const refused = call('a');
+  assert.equal(refused.passed, false);
+  assert.equal(refused.res.statusCode, 429);
+  assert.ok(Number(refused.res.headers['Retry-After']) > 0);
+  assert.equal(call('b').passed, true);
+});
@@ -0,0 +1,32 @@
+// No language data anywhere, so Tesseract cannot start.
+process.env.OCR_LANG_PATH = '/nonexistent';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeScannedPdf, pdfDocument } = require('./helpers');
+const { createProvider } = require('../lib/providers');
+const { extractDocument } = require('../lib/pipeline');
+const { ocrUnavailable } = require('../lib/ocr');
+
+const mock = createProvider('mock');
+
+test('missing language data is reported before any page is read', () => {
+  assert.match(ocrUnavailable(), /No Tesseract data for eng in \/nonexistent/);
+});
+
+test('auto mode keeps the text layer and warns when OCR cannot run', async () => {
+  const data = makeScannedPdf(['Theorem 1.1. Every group has an identity.']);
+  const { items, stats } = await extractDocument(pdfDocument('scan.pdf', data), 'rules', { provider: mock, ocr: 'auto' });
+  assert.deepEqual(items, []);
+  assert.deepEqual(stats.ocrPages, []);
+  assert.match(stats.ocrWarning, /^OCR failed \(No Tesseract data .*\); page 1 kept its text layer\.$/);
+  assert.equal(stats.cacheKey, undefined, 'the result is not cached');
+});
+
+test('force mode fails when OCR cannot run', async () => {
+  const data = makeScannedPdf(['Lemma 2.1. Inverses are unique.']);
+  await assert.rejects(
+    extractDocument(pdfDocument('scan.pdf', data), 'rules', { provider: mock, ocr: 'force' }),
+    /^Error: OCR failed: No Tesseract data for eng/
+  );
+});
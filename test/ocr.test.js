@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+require('./helpers');
+
+// OCR_MODE as lib/ocr.js reads it when loaded with `value` in the environment.
+function loadedOcrMode(value) {
+  const out = execFileSync(process.execPath, ['-e', 'console.log(require("./lib/ocr").OCR_MODE)'], {
+    cwd: `${__dirname}/..`,
+    env: { ...process.env, OCR_MODE: value },
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+  return out.toString().trim();
+}
+
+test('OCR_MODE falls back to auto when it is not a known mode', () => {
+  assert.equal(loadedOcrMode('force'), 'force');
+  assert.equal(loadedOcrMode(' Off '), 'off');
+  assert.equal(loadedOcrMode('always'), 'auto');
+  assert.equal(loadedOcrMode(''), 'auto');
+});
+
+test('a scanned page is read by OCR with the bundled language data', async () => {
+  const { makeScannedPdf, pdfDocument } = require('./helpers');
+  const { createProvider } = require('../lib/providers');
+  const { extractDocument, estimateDocument } = require('../lib/pipeline');
+  const data = makeScannedPdf(['Theorem 1.1. Every group has an identity.']);
+  const provider = createProvider('mock');
+  assert.equal((await estimateDocument(pdfDocument('scan.pdf', data), 'rules', { provider })).ocrPages, 1);
+  const { items, stats } = await extractDocument(pdfDocument('scan.pdf', data), 'rules', { provider });
+  assert.deepEqual(stats.ocrPages.map(p => [p.page, p.engine]), [[1, 'tesseract']]);
+  assert.equal(stats.ocrWarning, undefined);
+  assert.deepEqual(items.map(it => it.title), ['Theorem 1.1']);
+});
+
+test('blank and title pages are not read by OCR', async () => {
+  const { makePdf, pdfDocument } = require('./helpers');
+  const { createProvider } = require('../lib/providers');
+  const { extractDocument, estimateDocument } = require('../lib/pipeline');
+  const data = makePdf([[], ['Algebra I'], ['Theorem 1.1. Every group has a unique identity element.']]);
+  const doc = pdfDocument('notes.pdf', data);
+  const provider = createProvider('mock');
+  assert.equal((await estimateDocument(doc, 'rules', { provider })).ocrPages, 0);
+  const { stats } = await extractDocument(doc, 'rules', { provider });
+  assert.deepEqual(stats.ocrPages, []);
+  assert.equal(stats.ocrWarning, undefined);
+});
@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { makePdf, pdfDocument } = require('./helpers');
+const { createProvider } = require('../lib/providers');
+const { extractionSettings, extractDocument, extractBatch } = require('../lib/pipeline');
+const { hashBuffer, cacheKey } = require('../lib/cache');
+
+const mock = createProvider('mock');
+
+// Two pages of notes; `tag` makes the file, and so its cache entry, unique.
+function notes(tag) {
+  return makePdf([
+    [
+      `Week 1: ${tag}`,
+      '',
+      'Definition 1.1 (Group). A group is a set G with an associative operation.',
+      '',
+      'Theorem 1.2. Every group has a unique identity element.',
+      'Proof. Suppose e and f are identities; then e = ef = f.'
+    ],
+    [
+      'Lemma 2.1. If ab = ac in a group then b = c.',
+      '',
+      'Remark 2.2. This is called left cancellation.'
+    ]
+  ]);
+}
+
+// The mock provider, counting its requests.
+function counted(provider) {
+  const counter = { ...provider, requests: 0 };
+  counter.complete = (messages, options) => {
+    counter.requests++;
+    return provider.complete(messages, options);
+  };
+  return counter;
+}
+
+const titles = items => items.map(it => it.title);
+
+test('llm mode extracts the statements and reports token usage', async () => {
+  const { items, stats } = await extractDocument(pdfDocument('notes.pdf', notes('llm')), 'llm', { provider: mock });
+  assert.deepEqual(titles(items), ['Definition 1.1 (Group)', 'Theorem 1.2', 'Lemma 2.1']);
+  assert.equal(stats.totalPages, 2);
+  assert.equal(stats.provider, 'mock');
+  assert.equal(stats.cached, false);
+  assert.equal(stats.totalChunks, 1);
+  assert.deepEqual(stats.failedChunks, []);
+  assert.equal(stats.usage.requests, 1);
+  assert.ok(stats.usage.promptTokens > 0 && stats.usage.completionTokens > 0);
+  assert.equal(stats.usage.cost, 0);
+});
+
+test('rules mode makes no LLM requests', async () => {
+  const llm = counted(mock);
+  const { items, stats } = await extractDocument(pdfDocument('notes.pdf', notes('rules')), 'rules', { provider: mock, llm });
+  assert.equal(llm.requests, 0);
+  assert.deepEqual(titles(items), ['Definition 1.1 (Group)', 'Theorem 1.2', 'Lemma 2.1']);
+  assert.equal(stats.provider, null);
+  assert.equal(stats.usage, undefined);
+});
+
+test('hybrid mode only asks the LLM to repair the rule candidates', async () => {
+  const llm = counted(mock);
+  const { items, stats } = await extractDocument(pdfDocument('notes.pdf', notes('hybrid')), 'hybrid', { provider: mock, llm });
+  assert.equal(llm.requests, 1);
+  assert.deepEqual(titles(items), ['Definition 1.1 (Group)', 'Theorem 1.2', 'Lemma 2.1']);
+  assert.equal(stats.totalChunks, 1);
+});
+
+test('linked types come back as children of their statement', async () => {
+  const { items } = await extractDocument(pdfDocument('notes.pdf', notes('include')), 'llm', { provider: mock, include: ['proof', 'remark'] });
+  const theorem = items.find(it => it.title === 'Theorem 1.2');
+  assert.deepEqual(theorem.children.map(c => c.type), ['proof']);
+  const lemma = items.find(it => it.title === 'Lemma 2.1');
+  assert.deepEqual(lemma.children.map(c => c.type), ['remark']);
+});
+
+test('a second extraction with the same settings comes from the cache', async () => {
+  const data = notes('cache');
+  const llm = counted(mock);
+  const first = await extractDocument(pdfDocument('notes.pdf', data), 'llm', { provider: mock, llm });
+  const second = await extractDocument(pdfDocument('notes.pdf', data), 'llm', { provider: mock, llm });
+  assert.equal(llm.requests, 1);
+  assert.equal(second.stats.cached, true);
+  assert.equal(second.stats.cacheKey, first.stats.cacheKey);
+  assert.deepEqual(second.items, first.items);
+
+  const refreshed = await extractDocument(pdfDocument('notes.pdf', data), 'llm', { provider: mock, llm, refresh: true });
+  assert.equal(llm.requests, 2);
+  assert.equal(refreshed.stats.cached, false);
+});
+
+test('the cache key changes with every setting that changes the items', () => {
+  const hash = hashBuffer(Buffer.from('notes'));
+  const key = (mode, include, ocr, provider = mock) => cacheKey(hash, extractionSettings(provider, mode, include, ocr));
+  const base = key('llm', [], 'auto');
+  assert.match(base, /^[a-f0-9]{64}$/);
+  assert.equal(key('llm', [], 'auto'), base);
+  assert.notEqual(key('hybrid', [], 'auto'), base);
+  assert.notEqual(key('llm', ['proof'], 'auto'), base);
+  assert.notEqual(key('llm', [], 'force'), base);
+  assert.notEqual(key('llm', [], 'auto', { name: 'mock', model: 'other' }), base);
+  assert.notEqual(cacheKey(hashBuffer(Buffer.from('other notes')), extractionSettings(mock, 'llm', [], 'auto')), base);
+  // Keys written before linked types and OCR modes existed stay valid.
+  const { include, ocr, ...older } = extractionSettings(mock, 'llm', [], 'auto');
+  assert.equal(cacheKey(hash, older), base);
+});
+
+test('a batch tags every item with its document and numbers repeated names', async () => {
+  const docs = [pdfDocument('notes.pdf', notes('batch a')), pdfDocument('notes.pdf', notes('batch b'))];
+  const progress = [];
+  const { items, stats, graph } = await extractBatch(docs, 'llm', { provider: mock, onChunk: update => progress.push(update.fileName) });
+  assert.deepEqual(items.map(it => it.source), ['notes.pdf', 'notes.pdf', 'notes.pdf', 'notes.pdf (2)', 'notes.pdf (2)', 'notes.pdf (2)']);
+  assert.equal(new Set(items.map(it => it.id)).size, items.length);
+  assert.deepEqual(progress, ['notes.pdf', 'notes.pdf (2)']);
+  assert.equal(stats.totalFiles, 2);
+  assert.equal(stats.totalPages, 4);
+  assert.deepEqual(stats.documents.map(d => d.fileName), ['notes.pdf', 'notes.pdf (2)']);
+  assert.equal(stats.usage.requests, 2);
+  assert.equal(stats.usage.totalTokens, stats.documents[0].usage.totalTokens + stats.documents[1].usage.totalTokens);
+  assert.ok(Array.isArray(graph.nodes) && Array.isArray(graph.edges));
+});
+
+test('collapse drops statements repeated word for word in a later document', async () => {
+  const data = notes('collapse');
+  const docs = [pdfDocument('week1.pdf', data), pdfDocument('week2.pdf', data)];
+  const kept = await extractBatch(docs, 'llm', { provider: mock });
+  assert.equal(kept.items.length, 6);
+  const collapsed = await extractBatch(docs, 'llm', { provider: mock, collapse: true });
+  assert.equal(collapsed.items.length, 3);
+  assert.ok(collapsed.items.every(it => it.source === 'week1.pdf'));
+  assert.deepEqual(collapsed.items[0].alsoIn, ['week2.pdf']);
+});
+
+test('a PDF that does not parse is refused', async () => {
+  await assert.rejects(
+    extractDocument(pdfDocument('broken.pdf', Buffer.from('%PDF-1.4\nnot really a PDF')), 'rules', { provider: mock }),
+    { name: 'UploadError', message: /could not be read as a PDF/ }
+  );
+});
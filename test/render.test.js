@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { makePdf, makeScannedPdf, pdfDocument } = require('./helpers');
+const { createProvider } = require('../lib/providers');
+const { extractDocument } = require('../lib/pipeline');
+const { loadEnvironment, renderPdf, readLayoutOptions, checkRenderItems } = require('../lib/render');
+
+const mock = createProvider('mock');
+
+test('OCR still runs in a process that has rendered a PDF', async () => {
+  const notes = makePdf([['Theorem 1.1. Every group has a unique identity element.']]);
+  const { items } = await extractDocument(pdfDocument('notes.pdf', notes), 'rules', { provider: mock });
+  const pdf = await renderPdf(items);
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.equal(typeof document, 'undefined', 'rendering leaves no global document behind');
+
+  const scan = makeScannedPdf(['Lemma 2.1. Inverses in a group are unique.']);
+  const { items: read, stats } = await extractDocument(pdfDocument('scan.pdf', scan), 'rules', { provider: mock, ocr: 'force' });
+  assert.equal(stats.ocrPages.length, 1);
+  assert.deepEqual(read.map(it => it.title), ['Lemma 2.1']);
+});
+
+test('layout options are coerced to their types', () => {
+  const { options, error } = readLayoutOptions({ pageMarginPt: '30', columns: 2, pdfFormat: 'Letter', pageNumbers: 'true', accentColor: '#336699', unknown: 1 });
+  assert.equal(error, undefined);
+  assert.deepEqual(options, { pdfFormat: 'letter', pageMarginPt: 30, accentColor: '#336699', columns: 2, pageNumbers: true });
+});
+
+test('layout options of the wrong type or out of range are refused', () => {
+  const refused = options => readLayoutOptions(options).error;
+  assert.match(refused({ pdfFormat: 'zzz' }), /Unknown "pdfFormat" "zzz"/);
+  assert.match(refused({ pdfOrientation: 'sideways' }), /"pdfOrientation" must be one of/);
+  assert.match(refused({ pageMarginPt: 'wide' }), /"pageMarginPt" must be a number from 0 to 144/);
+  assert.match(refused({ pageMarginPt: -5 }), /"pageMarginPt" must be a number/);
+  assert.match(refused({ columns: 1.5 }), /"columns" must be a number from 1 to 2/);
+  assert.match(refused({ textColor: 'red; }' }), /"textColor" must be a color/);
+  assert.match(refused({ colorMap: { theorem: 12 } }), /"colorMap" must map/);
+  assert.match(refused({ includeLinked: 'yes' }), /"includeLinked" must be true or false/);
+  assert.match(refused({ cover: { title: 3 } }), /"cover" must be an object/);
+  assert.match(refused('a4'), /"options" must be an object/);
+});
+
+test('only objects with text content can be rendered', async () => {
+  assert.equal(checkRenderItems([{ content: 'x' }]), null);
+  assert.match(checkRenderItems([]), /non-empty "items" array/);
+  assert.match(checkRenderItems([{ content: 'x' }, 1]), /Item 2 must be an object with a "content" string/);
+  assert.match(checkRenderItems([{ title: 'Theorem 1' }]), /Item 1 must be/);
+  await assert.rejects(renderPdf([1]), /Item 1 must be/);
+  await assert.rejects(renderPdf([{ content: 'x' }], { pdfFormat: 'zzz' }), /Unknown "pdfFormat"/);
+  const pdf = await renderPdf([{ content: 'x' }], { pageMarginPt: '30' });
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('display math taller than a page is shrunk to fit between the margins', async () => {
+  const { window } = loadEnvironment();
+  const rows = Array.from({ length: 80 }, (_, i) => `${i} & x_{${i}}`).join(' \\\\ ');
+  const gen = new window.LatexPDFGenerator({ exportMode: 'vector', pageMarginPt: 40 });
+  const drawn = [];
+  gen._drawSvg = async (pdf, box, x, y) => drawn.push({ top: y, bottom: y + box.ascent + box.depth, pageHeight: pdf.internal.pageSize.getHeight() });
+  await gen.buildVectorPDF([{ type: 'theorem', title: 'Theorem 1', content: `Tall: $$\\begin{pmatrix} ${rows} \\end{pmatrix}$$ Done.` }]);
+  assert.equal(drawn.length, 1);
+  assert.ok(drawn[0].top >= 40 && drawn[0].bottom <= drawn[0].pageHeight - 40, JSON.stringify(drawn[0]));
+});
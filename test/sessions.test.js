@@ -0,0 +1,105 @@
+const { test, after, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+require('./helpers');
+const { SESSION_VERSION, normalizeSession, getSession, createSession, updateSession, deleteSession, listSessions } = require('../lib/sessions');
+
+const SESSIONS_DIR = process.env.SESSIONS_DIR;
+
+test('normalizeSession keeps the project fields and refuses bad items', () => {
+  assert.deepEqual(normalizeSession({ fileName: 'a.pdf', items: [{ title: 'Lemma 1' }], extra: true }), {
+    version: SESSION_VERSION,
+    name: 'a.pdf',
+    fileName: 'a.pdf',
+    fileHash: null,
+    settings: {},
+    stats: null,
+    items: [{ title: 'Lemma 1' }]
+  });
+  assert.throws(() => normalizeSession({}), /"items" array/);
+  assert.throws(() => normalizeSession({ items: [null] }), /must be objects/);
+});
+
+test('sessions are created, read, updated, listed and deleted', () => {
+  const created = createSession({ name: 'Algebra', items: [{ title: 'Lemma 1' }] });
+  assert.match(created.id, /^[a-f0-9]{32}$/);
+  assert.deepEqual(getSession(created.id), created);
+
+  const updated = updateSession(created.id, { name: 'Algebra II', items: [{ title: 'Lemma 1' }, { title: 'Lemma 2' }] });
+  assert.equal(updated.createdAt, created.createdAt);
+  assert.equal(getSession(created.id).name, 'Algebra II');
+  assert.deepEqual(listSessions().find(s => s.id === created.id), {
+    id: created.id, name: 'Algebra II', fileName: null, fileHash: null, totalItems: 2, createdAt: created.createdAt, updatedAt: updated.updatedAt
+  });
+
+  assert.equal(deleteSession(created.id), true);
+  assert.equal(getSession(created.id), null);
+  assert.equal(deleteSession(created.id), false);
+  assert.equal(updateSession(created.id, { items: [] }), null);
+});
+
+test('malformed session ids are refused', () => {
+  assert.throws(() => getSession('../usage'), /Invalid session id/);
+  assert.throws(() => deleteSession('notes'), /Invalid session id/);
+});
+
+test('listSessions skips files that are not sessions', () => {
+  const kept = createSession({ name: 'Kept', items: [] });
+  fs.writeFileSync(path.join(SESSIONS_DIR, 'notes.json'), '{}');
+  fs.writeFileSync(path.join(SESSIONS_DIR, `${kept.id}.json.bak`), '{}');
+  fs.writeFileSync(path.join(SESSIONS_DIR, `${'0'.repeat(32)}.json`), 'not json');
+  const listed = listSessions();
+  assert.deepEqual(listed.map(s => s.id), [kept.id]);
+});
+
+/* ---------- Routes ---------- */
+
+const PORT = 40000 + Math.floor(Math.random() * 20000);
+const api = (route, init = {}) => fetch(`http://127.0.0.1:${PORT}/api/v1${route}`, {
+  ...init,
+  headers: { 'Content-Type': 'application/json' }
+}).then(async res => ({ status: res.status, body: await res.json() }));
+
+let server;
+before(async () => {
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, PORT: String(PORT) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    server.on('exit', code => reject(new Error(`server exited with ${code}`)));
+    server.stdout.on('data', data => {
+      if (/Server running/.test(String(data))) resolve();
+    });
+  });
+});
+after(() => server.kill());
+
+test('the session routes store, list and remove sessions', async () => {
+  const created = await api('/sessions', { method: 'POST', body: JSON.stringify({ name: 'Routes', items: [{ title: 'Lemma 1' }] }) });
+  assert.equal(created.status, 201);
+  const { id } = created.body;
+
+  const listed = await api('/sessions');
+  assert.equal(listed.status, 200);
+  assert.ok(listed.body.sessions.some(s => s.id === id && s.totalItems === 1));
+
+  assert.equal((await api(`/sessions/${id}`)).body.name, 'Routes');
+  const put = await api(`/sessions/${id}`, { method: 'PUT', body: JSON.stringify({ name: 'Renamed', items: [] }) });
+  assert.equal(put.status, 200);
+  assert.equal(put.body.name, 'Renamed');
+
+  assert.deepEqual((await api(`/sessions/${id}`, { method: 'DELETE' })).body, { success: true });
+  assert.equal((await api(`/sessions/${id}`)).status, 404);
+  assert.equal((await api(`/sessions/${id}`, { method: 'DELETE' })).status, 404);
+});
+
+test('the session routes answer 400 for bad input and list past stray files', async () => {
+  assert.equal((await api('/sessions', { method: 'POST', body: JSON.stringify({ name: 'No items' }) })).status, 400);
+  assert.equal((await api('/sessions/notes')).status, 400);
+  fs.writeFileSync(path.join(SESSIONS_DIR, 'stray.json'), '{}');
+  assert.equal((await api('/sessions')).status, 200);
+});
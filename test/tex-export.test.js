@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { buildTex, parseTitle } = require('../lib/tex-export');
+
+const raw = String.raw;
+
+const items = [
+  {
+    type: 'theorem',
+    title: 'Theorem 2.3 (Sylow [3], 50% & #1_a ~ $x^2$ ^).',
+    page: 4,
+    content: 'Let $G$ be a finite group.',
+    children: [
+      { type: 'proof', title: 'Proof of [3]', content: 'Count the subgroups.' },
+      { type: 'example', title: 'Example', content: 'Take $S_3$.' }
+    ]
+  },
+  { type: 'definition', title: 'Definition (Group)', content: raw`\begin{itemize}\item A set.\end{itemize}` },
+  { type: 'remark', title: 'Remark 1', content: 'Noted.' }
+];
+
+// The environments left open, or a message at the first \end that does not
+// close the last open \begin.
+function unbalanced(tex) {
+  const open = [];
+  for (const [, kind, name] of tex.matchAll(/\\(begin|end)\{([^{}]*)\}/g)) {
+    if (kind === 'begin') open.push(name);
+    else if (open.pop() !== name) return `\\end{${name}} is out of order`;
+  }
+  return open;
+}
+
+test('parseTitle reads the number and the note', () => {
+  assert.deepEqual(parseTitle('Theorem 2.3 (Bolzano–Weierstrass).'), { number: '2.3', note: 'Bolzano–Weierstrass' });
+  assert.deepEqual(parseTitle('Definition (Group)'), { number: null, note: 'Group' });
+  assert.deepEqual(parseTitle(''), { number: null, note: null });
+});
+
+test('buildTex declares amsthm environments for the types it uses', () => {
+  const tex = buildTex(items);
+  assert.match(tex, /\\usepackage\{amsmath,amssymb,amsthm\}/);
+  assert.match(tex, /\\theoremstyle\{plain\}\n\\newtheorem\{theoreminner\}\{Theorem\}/);
+  assert.match(tex, /\\theoremstyle\{definition\}\n\\newtheorem\{definitioninner\}\{Definition\}/);
+  assert.match(tex, /\\newtheorem\*\{example\*\}\{Example\}/);
+  assert.match(tex, /\\theoremstyle\{remark\}\n\\newtheorem\{remarkinner\}\{Remark\}/);
+  assert.doesNotMatch(tex, /lemmainner|\\newtheorem\{proofinner\}/);
+
+  assert.match(tex, /% Source page: 4\n\\begin\{theorem\}\{2\.3\}/);
+  assert.match(tex, /\\begin\{definition\*\}\[Group\]/);
+  assert.match(tex, /\\begin\{remark\}\{1\}\nNoted\.\n\\end\{remark\}/);
+});
+
+test('buildTex escapes titles and notes, leaving their math alone', () => {
+  const tex = buildTex(items, { title: 'Notes: R&D 100% #1' });
+  assert.match(tex, /\\title\{Notes: R\\&D 100\\% \\#1\}/);
+  assert.ok(tex.includes(raw`\begin{theorem}{2.3}[{Sylow [3], 50\% \& \#1\_a \textasciitilde{} $x^2$ \textasciicircum{}}]`));
+  assert.ok(tex.includes(raw`\begin{proof}[{Proof of [3]}]`));
+});
+
+test('buildTex writes a balanced document', () => {
+  for (const includeLinked of [true, false]) {
+    const tex = buildTex(items, { includeLinked, title: 'Notes' });
+    assert.deepEqual(unbalanced(tex), []);
+    assert.ok(tex.startsWith(raw`\documentclass`));
+    assert.ok(tex.endsWith('\\end{document}\n'));
+    assert.equal(tex.includes('Count the subgroups.'), includeLinked);
+  }
+});